@@ -0,0 +1,130 @@
+// Service worker: caches the app shell so the viewer opens without a network.
+// Event data itself is cached in IndexedDB by the page (see src/snapshotStore.js).
+
+// Filled in at build time (see serviceWorkerPrecache in vite.config.js): an
+// id that changes with the bundles, and the hashed scripts and styles
+const BUILD_ID = 'dev';
+const ASSET_URLS = [];
+
+// A new build gets a new cache; `activate` drops the old one and its bundles
+const CACHE_NAME = `biennale-shell-${BUILD_ID}`;
+const SHELL_URLS = [
+    './',
+    './index.html',
+    './manifest.webmanifest',
+    './icon.svg',
+    ...ASSET_URLS
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(SHELL_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    // Drop caches left behind by older versions of the worker
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// The app's start page; prerendered event pages (event/<id>/) are not cached
+// as the shell
+const SHELL_PATHS = [new URL('./', self.location).pathname, new URL('./index.html', self.location).pathname];
+
+// Network first for page navigations, so a new deploy is picked up when online
+async function handleNavigation(request) {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok && SHELL_PATHS.includes(new URL(request.url).pathname)) {
+            cache.put('./index.html', response.clone());
+        }
+        return response;
+    } catch (error) {
+        return (await cache.match('./index.html')) || Response.error();
+    }
+}
+
+// Cache first for static assets; Vite fingerprints their file names
+async function handleAsset(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) {
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    // API and image requests go to other origins and are left to the browser
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(handleNavigation(request));
+    } else {
+        event.respondWith(handleAsset(request));
+    }
+});
+
+// Reminders scheduled by the page (see scheduleReminderNotifications in
+// src/reminders.js): { title, body, url, tag, time }. With Notification
+// Triggers the browser shows them at `time`, even with the app closed.
+async function scheduleReminders(reminders) {
+    if (typeof TimestampTrigger === 'undefined') return;
+
+    // Replace the reminders scheduled before; ones already shown stay
+    const scheduled = await self.registration.getNotifications({ includeTriggered: true });
+    scheduled
+        .filter(notification => notification.tag.startsWith('reminder:') && notification.timestamp > Date.now())
+        .forEach(notification => notification.close());
+
+    await Promise.all(reminders
+        .filter(reminder => reminder.time > Date.now())
+        .map(reminder => self.registration.showNotification(reminder.title, {
+            body: reminder.body,
+            tag: reminder.tag,
+            icon: './icon.svg',
+            data: { url: reminder.url },
+            showTrigger: new TimestampTrigger(reminder.time)
+        })));
+}
+
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'schedule-reminders') {
+        event.waitUntil(scheduleReminders(event.data.reminders));
+    }
+});
+
+// Reminder notifications open (or focus) the app on the event's page
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const url = event.notification.data?.url;
+    if (!url) return;
+
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+            const client = windows.find(item => new URL(item.url).origin === self.location.origin);
+            if (!client) return self.clients.openWindow(url);
+            // Focus first, while the click still allows it; only pages this
+            // worker controls can be navigated
+            return client.focus()
+                .then(() => client.navigate(url))
+                .catch(() => self.clients.openWindow(url));
+        })
+    );
+});
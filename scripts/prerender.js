@@ -0,0 +1,229 @@
+// Build-time prerender, run after `vite build` (see "prerender" in
+// package.json). Loads the events from the same source as the app, then
+// writes into dist/:
+//
+//   index.html            the programme list, with the events' data embedded
+//                         so the app can hydrate it without waiting for a fetch
+//   event/<id>/index.html a page per event with Open Graph and JSON-LD Event
+//                         metadata, which the app takes over as #/event/<id>
+//
+// The script is bundled with `vite build --ssr` so import.meta.env (and the
+// configured events source) match the app. The same card and detail
+// renderers as the app's run against jsdom.
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { JSDOM } from 'jsdom';
+import { fetchEventsPayload, getCmsEventsUrl, getSourceName, getSourceUrl } from '../src/dataSource.js';
+import { getEventDocs, prepareEvents } from '../src/eventData.js';
+import { createListItem } from '../src/eventCards.js';
+import { createEventDetail } from '../src/eventDetail.js';
+import { getEventImageUrl } from '../src/eventUtils.js';
+import { t } from '../src/i18n.js';
+
+const env = import.meta.env;
+
+const DIST_DIR = path.resolve('dist');
+const PUBLIC_DIR = path.resolve('public');
+const BASE_URL = env.BASE_URL;
+
+// Public address of the site, for canonical and Open Graph URLs
+const SITE_URL = (env.VITE_SITE_URL || '').replace(/\/$/, '');
+
+const FETCH_TIMEOUT_MS = 60 * 1000;
+
+const ORGANIZER = {
+    '@type': 'Organization',
+    name: 'Kochi Biennale Foundation',
+    url: 'https://www.kochimuzirisbiennale.org/'
+};
+
+// The events payload from the configured source. Fixture files are read
+// from public/; the CMS is called directly, as the CORS proxy is only
+// needed in browsers.
+async function loadPayload() {
+    if (getSourceName() === 'fixture') {
+        const url = getSourceUrl();
+        if (!/^https?:/.test(url)) {
+            const file = path.join(PUBLIC_DIR, url.slice(url.startsWith(BASE_URL) ? BASE_URL.length : 0));
+            return JSON.parse(await fs.readFile(file, 'utf8'));
+        }
+        return fetchEventsPayload(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+    }
+    return fetchEventsPayload(getCmsEventsUrl(), { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+}
+
+// Directory name of an event's page; ids are kept to URL-safe characters
+function getEventSlug(event) {
+    return String(event.id).replace(/[^A-Za-z0-9_-]/g, '-');
+}
+
+// Site-relative path of an event's page
+function getEventPagePath(event) {
+    return `${BASE_URL}event/${getEventSlug(event)}/`;
+}
+
+// Absolute URL for a site path, or null without VITE_SITE_URL
+function getAbsoluteUrl(sitePath) {
+    return SITE_URL ? SITE_URL + sitePath : null;
+}
+
+// JSON for an inline <script>; "<" is escaped so text can't close the tag
+function toScriptJson(value) {
+    return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+// Render a page from the built index.html. The app's renderers use the
+// global document, so it points at this page while `render` runs.
+function renderPage(template, render) {
+    const dom = new JSDOM(template);
+    globalThis.window = dom.window;
+    globalThis.document = dom.window.document;
+    try {
+        render(dom.window.document);
+        return dom.serialize();
+    } finally {
+        dom.window.close();
+        delete globalThis.window;
+        delete globalThis.document;
+    }
+}
+
+// Set <title>, the description and the Open Graph tags
+function setPageMeta(document, { title, description, url, image, type }) {
+    document.title = title;
+
+    const add = (tag, attributes) => {
+        const element = document.createElement(tag);
+        Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+        document.head.appendChild(element);
+    };
+
+    if (description) add('meta', { name: 'description', content: description });
+    if (url) add('link', { rel: 'canonical', href: url });
+    add('meta', { property: 'og:site_name', content: t('app.title') });
+    add('meta', { property: 'og:type', content: type });
+    add('meta', { property: 'og:title', content: title });
+    if (description) add('meta', { property: 'og:description', content: description });
+    if (url) add('meta', { property: 'og:url', content: url });
+    if (image) add('meta', { property: 'og:image', content: image });
+    add('meta', { name: 'twitter:card', content: image ? 'summary_large_image' : 'summary' });
+}
+
+function addScript(document, type, text, id) {
+    const script = document.createElement('script');
+    script.type = type;
+    if (id) script.id = id;
+    script.textContent = text;
+    document.head.appendChild(script);
+}
+
+// schema.org Event for an event page
+function getEventJsonLd(event, url) {
+    const data = {
+        '@context': 'https://schema.org',
+        '@type': 'Event',
+        name: event.title || t('event.untitled'),
+        startDate: event.start.toISOString(),
+        eventStatus: 'https://schema.org/EventScheduled',
+        eventAttendanceMode: 'https://schema.org/OfflineEventAttendanceMode',
+        location: {
+            '@type': 'Place',
+            name: event.venue || t('event.venueTba'),
+            address: (typeof event.venueAddress === 'string' && event.venueAddress) || event.venue || 'Kochi, Kerala, India'
+        },
+        image: [getEventImageUrl(event)],
+        organizer: ORGANIZER
+    };
+    if (event.end) data.endDate = event.end.toISOString();
+    if (event.shortDescription) data.description = event.shortDescription;
+    if (url || event.url) data.url = url || event.url;
+    return data;
+}
+
+// The programme list, with all events and the payload for hydration
+function renderListPage(template, events, docs, savedAt) {
+    return renderPage(template, document => {
+        setPageMeta(document, {
+            title: t('app.title'),
+            description: t('app.tagline'),
+            url: getAbsoluteUrl(BASE_URL),
+            type: 'website'
+        });
+        // Read by the app in place of a first fetch (see readPrerenderedSnapshot)
+        addScript(document, 'application/json', toScriptJson({ source: getSourceName(), savedAt, docs }), 'prerenderedEvents');
+
+        const list = document.createElement('ul');
+        list.setAttribute('role', 'list');
+        list.className = 'flex flex-col gap-3 sm:gap-4';
+        events.forEach(event => {
+            const item = document.createElement('li');
+            item.appendChild(createListItem(event, { href: getEventPagePath(event) }));
+            list.appendChild(item);
+        });
+        const container = document.getElementById('eventsContainer');
+        container.replaceChildren(list);
+        // Kept by the app until it has set the events
+        container.dataset.prerendered = 'true';
+    });
+}
+
+// A page for one event, shown in the detail view
+function renderEventPage(template, event) {
+    return renderPage(template, document => {
+        const url = getAbsoluteUrl(getEventPagePath(event));
+        setPageMeta(document, {
+            title: `${event.title || t('event.untitled')} – ${t('app.title')}`,
+            description: event.shortDescription,
+            url,
+            image: getEventImageUrl(event),
+            type: 'article'
+        });
+        addScript(document, 'application/ld+json', toScriptJson(getEventJsonLd(event, url)));
+
+        document.getElementById('filtersPanel').classList.add('hidden');
+        document.getElementById('listView').classList.add('hidden');
+
+        const detail = document.getElementById('eventDetail');
+        detail.classList.remove('hidden');
+        // The app continues from here as #/event/<id>
+        detail.dataset.prerenderedEvent = String(event.id);
+        detail.appendChild(createEventDetail(event, { onBack: () => {}, onAddToCalendar: () => {} }));
+    });
+}
+
+async function prerender() {
+    const templatePath = path.join(DIST_DIR, 'index.html');
+    const template = await fs.readFile(templatePath, 'utf8');
+    if (template.includes('id="prerenderedEvents"')) {
+        throw new Error('dist/index.html is already prerendered; run vite build first');
+    }
+
+    let docs;
+    try {
+        docs = getEventDocs(await loadPayload());
+    } catch (error) {
+        // Keep the plain app shell; the app fetches the events itself
+        console.warn(`Prerender skipped, could not load events: ${error.message}`);
+        return;
+    }
+
+    const { events } = prepareEvents(docs);
+    const savedAt = new Date().toISOString();
+
+    await fs.writeFile(templatePath, renderListPage(template, events, docs, savedAt));
+
+    await fs.rm(path.join(DIST_DIR, 'event'), { recursive: true, force: true });
+    for (const event of events) {
+        const directory = path.join(DIST_DIR, 'event', getEventSlug(event));
+        await fs.mkdir(directory, { recursive: true });
+        await fs.writeFile(path.join(directory, 'index.html'), renderEventPage(template, event));
+    }
+
+    console.log(`Prerendered the programme and ${events.length} event pages from "${getSourceName()}"`);
+}
+
+prerender().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+});
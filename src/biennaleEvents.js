@@ -0,0 +1,195 @@
+// <biennale-events>: a self-contained list of events for partner sites and
+// venue pages, published as a library build (see vite.config.js). It renders
+// into a shadow root with the app's own styles, so one script tag is enough:
+//
+//   <script src="https://…/embed/biennale-events.iife.js"></script>
+//   <biennale-events venue="Aspinwall House" limit="5"></biennale-events>
+//
+// Attributes (all optional):
+//   venue, category, event-type - only events with this value
+//   date-from, date-to          - only events running on these days ("2025-12-20")
+//   view                        - "list" (default) or "grid"
+//   limit                       - show at most this many events
+//   src                         - URL of an events payload to use instead of the CMS
+
+import styles from './style.css?inline';
+import { fetchEventsPayload } from './dataSource.js';
+import { getEventDocs, prepareEvents } from './eventData.js';
+import { createGridCard, createListItem, getRunStatusBadgeHtml } from './eventCards.js';
+import { getDateFilterRange, matchesTimeFilters } from './eventFilters.js';
+import { matchesFacets } from './facets.js';
+import { createEmptyFilters } from './filterUrl.js';
+import { downloadEventCalendar } from './icalendar.js';
+import { t } from './i18n.js';
+
+const VIEWS = {
+    list: { createItem: createListItem, className: 'flex flex-col gap-3 sm:gap-4' },
+    grid: { createItem: createGridCard, className: 'grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3 sm:gap-4' }
+};
+
+// Facet filter key -> attribute
+const FACET_ATTRIBUTES = {
+    eventType: 'event-type',
+    venue: 'venue',
+    category: 'category'
+};
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Events already requested, by payload URL ('' for the configured source),
+// so several elements on a page share one fetch
+const loads = new Map();
+
+function loadEvents(url) {
+    if (!loads.has(url)) {
+        const load = fetchEventsPayload(url).then(data => prepareEvents(getEventDocs(data)).events);
+        // Let the next element try again after a failure
+        load.catch(() => loads.delete(url));
+        loads.set(url, load);
+    }
+    return loads.get(url);
+}
+
+function el(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+}
+
+export class BiennaleEventsElement extends HTMLElement {
+    static get observedAttributes() {
+        return ['venue', 'category', 'event-type', 'date-from', 'date-to', 'view', 'limit', 'src'];
+    }
+
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' });
+        this.events = null;
+        this.error = null;
+        this.source = null;
+    }
+
+    connectedCallback() {
+        if (this.source !== this.getSource()) {
+            this.load();
+        } else {
+            this.render();
+        }
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        // Attributes set before the element is connected are read on connect
+        if (oldValue === newValue || this.source === null) return;
+
+        if (name === 'src') {
+            this.load();
+        } else {
+            this.render();
+        }
+    }
+
+    getSource() {
+        return this.getAttribute('src') || '';
+    }
+
+    async load() {
+        const source = this.getSource();
+        this.source = source;
+        this.events = null;
+        this.error = null;
+        this.render();
+
+        try {
+            const events = await loadEvents(source);
+            // Ignore a load overtaken by a newer `src`
+            if (source !== this.source) return;
+            this.events = events;
+        } catch (error) {
+            if (source !== this.source) return;
+            console.error('Error fetching events:', error);
+            this.error = error;
+        }
+        this.render();
+    }
+
+    // The attributes as filters in the app's format (see filterUrl.js)
+    getFilters() {
+        const filters = createEmptyFilters();
+        Object.entries(FACET_ATTRIBUTES).forEach(([key, attribute]) => {
+            const value = this.getAttribute(attribute);
+            if (value) filters[key] = [value];
+        });
+        [['dateFrom', 'date-from'], ['dateTo', 'date-to']].forEach(([key, attribute]) => {
+            const value = this.getAttribute(attribute) || '';
+            if (DAY_PATTERN.test(value)) filters[key] = value;
+        });
+        return filters;
+    }
+
+    getLimit() {
+        const limit = parseInt(this.getAttribute('limit'), 10);
+        return limit > 0 ? limit : Infinity;
+    }
+
+    render() {
+        if (!this.shadowRoot.firstChild) {
+            const style = el('style');
+            style.textContent = `${styles}\n:host { display: block; }\n:host([hidden]) { display: none; }`;
+            this.shadowRoot.appendChild(style);
+            this.shadowRoot.appendChild(el('div', 'text-gray-900'));
+        }
+        const container = this.shadowRoot.lastChild;
+        container.replaceChildren();
+
+        if (this.error) {
+            const error = el('p', 'bg-red-50 border border-red-200 rounded-lg p-3 text-sm text-red-800', t('errors.load', { message: this.error.message }));
+            error.setAttribute('role', 'alert');
+            container.appendChild(error);
+            return;
+        }
+
+        if (!this.events) {
+            const loading = el('p', 'py-6 text-center text-sm text-gray-600', t('status.loading'));
+            loading.setAttribute('role', 'status');
+            container.appendChild(loading);
+            return;
+        }
+
+        const filters = this.getFilters();
+        const dateRange = getDateFilterRange(filters);
+        const now = new Date();
+        const events = this.events.filter(event =>
+            matchesFacets(event, filters) && matchesTimeFilters(event, filters, { dateRange, now }));
+
+        if (events.length === 0) {
+            container.appendChild(el('p', 'py-6 text-center text-sm text-gray-500', t('results.empty')));
+            return;
+        }
+
+        const view = VIEWS[this.getAttribute('view')] || VIEWS.list;
+        const shown = events.slice(0, this.getLimit());
+        const list = el('ul', view.className);
+        list.setAttribute('role', 'list');
+        shown.forEach(event => {
+            const card = view.createItem(event, {
+                href: event.url,
+                badgesHtml: getRunStatusBadgeHtml(event, dateRange)
+            });
+            card.querySelector('[data-action="add-to-calendar"]').addEventListener('click', () => downloadEventCalendar(event));
+
+            const item = el('li');
+            item.appendChild(card);
+            list.appendChild(item);
+        });
+        container.appendChild(list);
+
+        if (shown.length < events.length) {
+            container.appendChild(el('p', 'mt-3 text-xs text-gray-500', t('embed.showing', { shown: shown.length, count: events.length })));
+        }
+    }
+}
+
+if (!customElements.get('biennale-events')) {
+    customElements.define('biennale-events', BiennaleEventsElement);
+}
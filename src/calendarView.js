@@ -0,0 +1,138 @@
+// Month calendar grid showing how many events run on each day
+
+import { getEventTimeRange } from './eventUtils.js';
+import { addDays, daysBetween, formatDayKey, getDayKey, getWeekday } from './timeZone.js';
+import { t } from './i18n.js';
+
+// A week that starts on a Sunday, for weekday names
+const SAMPLE_SUNDAY = '2025-12-07';
+
+// Events per day they run on, like the date filter (see eventOverlapsRange):
+// Map of day key -> events. Multi-day events are listed on every day.
+export function groupEventsByDay(events) {
+    const days = new Map();
+    events.forEach(event => {
+        const range = getEventTimeRange(event);
+        if (!range) return;
+
+        // An event ending at midnight doesn't run on the day that starts then
+        const lastKey = getDayKey(new Date(Math.max(range.end - 1, range.start)));
+        for (let key = getDayKey(range.start); key <= lastKey; key = addDays(key, 1)) {
+            if (!days.has(key)) days.set(key, []);
+            days.get(key).push(event);
+        }
+    });
+    return days;
+}
+
+// Month containing a day key, e.g. "2025-12"
+function getMonthKey(dayKey) {
+    return dayKey.slice(0, 7);
+}
+
+// Month key a number of months after (or before) another
+function addMonths(monthKey, months) {
+    const [year, month] = monthKey.split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1 + months, 1));
+    return date.toISOString().slice(0, 7);
+}
+
+// Month to open the calendar on: this month if it has events, otherwise the
+// month of the first event
+export function getInitialMonth(events, today = new Date()) {
+    const days = groupEventsByDay(events);
+    const thisMonth = getMonthKey(getDayKey(today));
+    const keys = Array.from(days.keys()).sort();
+
+    if (keys.length === 0 || keys.some(key => key.startsWith(thisMonth))) {
+        return thisMonth;
+    }
+    return getMonthKey(keys[0]);
+}
+
+function createNavButton(label, text, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'px-3 py-2 text-sm bg-white border border-gray-300 rounded-md hover:bg-gray-50 active:bg-gray-100 transition-colors touch-manipulation';
+    button.setAttribute('aria-label', label);
+    button.textContent = text;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+// Create the month grid for a month key ("2025-12"). Days with events are buttons that call onSelectDay(key).
+export function createMonthCalendar({ events, month, selectedDay, onSelectDay, onChangeMonth }) {
+    const days = groupEventsByDay(events);
+    const todayKey = getDayKey(new Date());
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'bg-white rounded-lg shadow-sm p-3 sm:p-4 lg:p-6';
+
+    // Month header with previous/next buttons
+    const header = document.createElement('div');
+    header.className = 'flex items-center justify-between mb-3 sm:mb-4';
+    header.appendChild(createNavButton(t('calendar.previousMonth'), '‹', () => {
+        onChangeMonth(addMonths(month, -1));
+    }));
+
+    const title = document.createElement('h2');
+    title.className = 'text-base sm:text-lg font-semibold text-gray-900';
+    const firstDay = `${month}-01`;
+    title.textContent = formatDayKey(firstDay, { month: 'long', year: 'numeric' });
+    header.appendChild(title);
+
+    header.appendChild(createNavButton(t('calendar.nextMonth'), '›', () => {
+        onChangeMonth(addMonths(month, 1));
+    }));
+    wrapper.appendChild(header);
+
+    const grid = document.createElement('div');
+    grid.className = 'grid grid-cols-7 gap-1 sm:gap-2';
+
+    for (let i = 0; i < 7; i++) {
+        const cell = document.createElement('div');
+        cell.className = 'text-center text-xs font-medium text-gray-500 py-1';
+        cell.textContent = formatDayKey(addDays(SAMPLE_SUNDAY, i), { weekday: 'short' });
+        grid.appendChild(cell);
+    }
+
+    // Blank cells before the first day of the month
+    for (let i = 0; i < getWeekday(firstDay); i++) {
+        grid.appendChild(document.createElement('div'));
+    }
+
+    const daysInMonth = daysBetween(firstDay, `${addMonths(month, 1)}-01`);
+    for (let day = 1; day <= daysInMonth; day++) {
+        const key = addDays(firstDay, day - 1);
+        const count = days.get(key)?.length || 0;
+
+        const cell = document.createElement('button');
+        cell.type = 'button';
+        cell.disabled = count === 0;
+        cell.className = [
+            'flex flex-col items-center justify-start rounded-md border p-1 sm:p-2 min-h-[3rem] sm:min-h-[4.5rem] text-sm transition-colors touch-manipulation',
+            key === selectedDay ? 'border-blue-600 bg-blue-50' : 'border-gray-200',
+            count > 0 ? 'hover:bg-blue-50 active:bg-blue-100' : 'text-gray-400 cursor-default',
+            key === todayKey ? 'font-bold' : ''
+        ].join(' ');
+        cell.setAttribute('aria-pressed', String(key === selectedDay));
+        cell.setAttribute('aria-label', t('calendar.dayEvents', { date: formatDayKey(key, { month: 'long', day: 'numeric' }), count }));
+
+        const number = document.createElement('span');
+        number.textContent = day;
+        cell.appendChild(number);
+
+        if (count > 0) {
+            const badge = document.createElement('span');
+            badge.className = 'mt-1 px-1.5 rounded-full bg-blue-600 text-white text-xs';
+            badge.textContent = count;
+            cell.appendChild(badge);
+            cell.addEventListener('click', () => onSelectDay(key));
+        }
+
+        grid.appendChild(cell);
+    }
+
+    wrapper.appendChild(grid);
+    return wrapper;
+}
@@ -0,0 +1,178 @@
+// What changed in the programme since the user's last visit. Each fetch is
+// reduced to a fingerprint per event (key fields plus a hash of everything
+// shown) and compared by id with the fingerprints from the previous visit.
+//
+// Two fingerprint sets are kept in localStorage: `baseline`, what the user
+// had seen before this visit, and `latest`, what this visit shows. A new
+// visit (browser session) makes `latest` the new baseline.
+
+import { getSourceName } from './dataSource.js';
+import { readSetting, writeSetting } from './storage.js';
+
+// Change kinds, in the order they are listed
+export const CHANGE_KINDS = ['new', 'time', 'venue', 'updated', 'removed'];
+
+const VISIT_KEY = 'biennale:visit';
+
+let changeHistory = null;
+let changes = new Map();
+
+function getStorageKey() {
+    return `changes:${getSourceName()}`;
+}
+
+// Short, stable hash of a string (FNV-1a)
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16);
+}
+
+const toIso = date => (date ? date.toISOString() : null);
+
+// The parts of an event that are compared between fetches. `updatedAt` is
+// kept for reference; the hash decides whether anything visible changed.
+export function getFingerprint(event) {
+    const fingerprint = {
+        title: event.title,
+        start: toIso(event.start),
+        end: toIso(event.end),
+        venue: event.venue,
+        updatedAt: toIso(event.updatedAt)
+    };
+    fingerprint.hash = hashString(JSON.stringify([
+        fingerprint.title,
+        fingerprint.start,
+        fingerprint.end,
+        fingerprint.venue,
+        event.shortDescription,
+        event.description,
+        event.eventType,
+        event.category,
+        event.venueAddress,
+        event.entryDetails,
+        event.imageUrl,
+        event.url
+    ]));
+    return fingerprint;
+}
+
+// Compare fingerprints by id. Returns a Map of id -> { id, kinds, event,
+// previous }; `event` is null for removed events and `previous` is null for
+// new ones.
+export function diffEvents(previous, events) {
+    const result = new Map();
+    const seen = new Set();
+
+    events.forEach(event => {
+        const id = String(event.id);
+        seen.add(id);
+
+        const before = previous[id];
+        if (!before) {
+            result.set(id, { id, kinds: ['new'], event, previous: null });
+            return;
+        }
+
+        // Unchanged when the hash matches, even if the CMS saved the event
+        // again (a new updatedAt) without visible changes
+        const after = getFingerprint(event);
+        if (before.hash === after.hash) return;
+
+        const kinds = [];
+        if (before.start !== after.start || before.end !== after.end) kinds.push('time');
+        if (before.venue !== after.venue) kinds.push('venue');
+        if (kinds.length === 0) kinds.push('updated');
+        result.set(id, { id, kinds, event, previous: before });
+    });
+
+    Object.keys(previous).forEach(id => {
+        if (!seen.has(id)) {
+            result.set(id, { id, kinds: ['removed'], event: null, previous: previous[id] });
+        }
+    });
+
+    return result;
+}
+
+// Whether this page load starts a new visit; remembered per browser session
+function isNewVisit() {
+    try {
+        if (sessionStorage.getItem(VISIT_KEY)) return false;
+        sessionStorage.setItem(VISIT_KEY, '1');
+    } catch (error) {
+        // Without session storage every page load counts as a visit
+    }
+    return true;
+}
+
+// Whether a stored snapshot is null or has an `events` object
+function isValidSnapshot(snapshot) {
+    return snapshot === null || Boolean(snapshot && typeof snapshot.events === 'object' && snapshot.events);
+}
+
+// The saved history, or an empty one when what is stored has another shape
+// (an older format, or edited by hand)
+function loadHistory() {
+    const stored = readSetting(getStorageKey(), null);
+    const valid = Boolean(stored) && typeof stored === 'object' &&
+        isValidSnapshot(stored.baseline) && isValidSnapshot(stored.latest);
+    changeHistory = valid
+        ? { baseline: stored.baseline, latest: stored.latest }
+        : { baseline: null, latest: null };
+    if (isNewVisit() && changeHistory.latest) {
+        changeHistory.baseline = changeHistory.latest;
+    }
+}
+
+// Record the events of a fetch and work out what changed since the last
+// visit. Returns true when they differ from what was shown before.
+export function trackChanges(events) {
+    if (!changeHistory) loadHistory();
+
+    const fingerprints = {};
+    events.forEach(event => {
+        fingerprints[String(event.id)] = getFingerprint(event);
+    });
+
+    const previous = changeHistory.latest ? changeHistory.latest.events : null;
+    const updated = !previous || diffEvents(previous, events).size > 0;
+
+    changeHistory.latest = { savedAt: new Date().toISOString(), events: fingerprints };
+    // The very first visit has nothing to compare with
+    if (!changeHistory.baseline) {
+        changeHistory.baseline = changeHistory.latest;
+    }
+    writeSetting(getStorageKey(), changeHistory);
+
+    changes = diffEvents(changeHistory.baseline.events, events);
+    return updated;
+}
+
+// The change recorded for an event, or null
+export function getChange(event) {
+    return changes.get(String(event.id)) || null;
+}
+
+// All changes, grouped by kind in CHANGE_KINDS order and by start time
+export function getChanges() {
+    const start = change => (change.event ? change.event.start.getTime() : Date.parse(change.previous.start) || 0);
+    return Array.from(changes.values()).sort((a, b) =>
+        CHANGE_KINDS.indexOf(a.kinds[0]) - CHANGE_KINDS.indexOf(b.kinds[0]) || start(a) - start(b));
+}
+
+// When the baseline was fetched, i.e. "since your last visit"
+export function getChangesSince() {
+    return changeHistory && changeHistory.baseline ? new Date(changeHistory.baseline.savedAt) : null;
+}
+
+// Accept the current programme as seen: clears all changes
+export function markChangesSeen() {
+    if (!changeHistory || !changeHistory.latest) return;
+    changeHistory.baseline = changeHistory.latest;
+    writeSetting(getStorageKey(), changeHistory);
+    changes = new Map();
+}
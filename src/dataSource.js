@@ -0,0 +1,81 @@
+// Event data sources. The active source is picked with VITE_EVENTS_SOURCE:
+//   api     - the CMS API directly (optionally through VITE_CORS_PROXY)
+//   proxy   - the Vite dev server proxy at /cms, see vite.config.js
+//   fixture - a local JSON file, for working without network access
+
+// Outside Vite (e.g. under `node --test`) there is no import.meta.env
+const env = import.meta.env || {};
+
+// Origin of the Payload CMS that serves events and media
+export const CMS_ORIGIN = env.VITE_CMS_ORIGIN || 'https://admin.kochimuzirisbiennale.org';
+
+// Public CORS proxy for the "api" source; set VITE_CORS_PROXY to an empty value to call the CMS directly
+const CORS_PROXY = env.VITE_CORS_PROXY ?? 'https://cors.utilitytool.app/';
+
+// Path the dev server proxies to CMS_ORIGIN
+export const DEV_PROXY_PATH = '/cms';
+
+const EVENTS_PATH = '/api/events?getAll=true&limit=500&size=100&sort=-timeAndDate.startDate&depth=10';
+
+// Helper function to build proxied URL
+function getProxiedUrl(url, corsProxy) {
+    // Percent-encode the full URL and prefix with CORS proxy
+    return corsProxy + encodeURIComponent(url);
+}
+
+// The CMS events endpoint itself, for callers that need no CORS proxy
+// (e.g. the build-time prerender)
+export function getCmsEventsUrl() {
+    return CMS_ORIGIN + EVENTS_PATH;
+}
+
+const sources = {
+    api: {
+        label: 'CMS API',
+        getUrl() {
+            const url = getCmsEventsUrl();
+            return CORS_PROXY ? getProxiedUrl(url, CORS_PROXY) : url;
+        }
+    },
+    proxy: {
+        label: 'Dev server proxy',
+        getUrl() {
+            return DEV_PROXY_PATH + EVENTS_PATH;
+        }
+    },
+    fixture: {
+        label: 'Local fixture',
+        getUrl() {
+            return env.VITE_EVENTS_FIXTURE || `${env.BASE_URL}fixtures/events.json`;
+        }
+    }
+};
+
+// Name of the configured source. The dev server defaults to its own proxy,
+// builds default to the CMS API.
+export function getSourceName() {
+    const fallback = env.DEV ? 'proxy' : 'api';
+    const name = env.VITE_EVENTS_SOURCE;
+    if (name && !sources[name]) {
+        console.warn(`Unknown VITE_EVENTS_SOURCE "${name}", using "${fallback}"`);
+    }
+    return sources[name] ? name : fallback;
+}
+
+// URL the configured source loads events from
+export function getSourceUrl() {
+    return sources[getSourceName()].getUrl();
+}
+
+// Fetch the raw events payload ({ docs, page, totalPages }) from the configured
+// source, or from `url` when given. `options` are passed on to fetch().
+export async function fetchEventsPayload(url, options) {
+    const source = sources[getSourceName()];
+    const response = await fetch(url || source.getUrl(), options);
+    
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status} (${url || source.label})`);
+    }
+    
+    return response.json();
+}
@@ -0,0 +1,61 @@
+// Data-quality panel for the content team, shown with ?debug=1. Lists what
+// the normalizer (normalizeEvents.js) dropped, repaired or could not read.
+
+import { downloadFile } from './download.js';
+
+const SECTIONS = [
+    { key: 'dropped', title: 'Dropped events' },
+    { key: 'repaired', title: 'Repaired fields' },
+    { key: 'missingImages', title: 'Missing images' },
+    { key: 'missingVenues', title: 'Missing venues' },
+    { key: 'unknownShapes', title: 'Unknown field shapes' }
+];
+
+// Whether the page was opened with ?debug=1
+export function isDebugMode(search = window.location.search) {
+    return new URLSearchParams(search).get('debug') === '1';
+}
+
+function el(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+}
+
+// Create the panel for a normalizer report
+export function createDiagnosticsPanel(report) {
+    const panel = el('section', 'bg-amber-50 border border-amber-200 rounded-lg p-3 sm:p-4 mb-4 sm:mb-6 text-sm');
+    panel.setAttribute('aria-label', 'Data diagnostics');
+
+    const header = el('div', 'flex flex-wrap items-center justify-between gap-2 mb-2');
+    header.appendChild(el('h2', 'text-base font-semibold text-amber-900', 'Data diagnostics'));
+
+    const download = el('button', 'px-3 py-1.5 text-xs sm:text-sm font-medium bg-white text-amber-900 border border-amber-300 rounded-md hover:bg-amber-100 touch-manipulation', 'Download report (.json)');
+    download.type = 'button';
+    download.addEventListener('click', () => {
+        downloadFile('event-diagnostics.json', JSON.stringify(report, null, 2), 'application/json');
+    });
+    header.appendChild(download);
+    panel.appendChild(header);
+
+    panel.appendChild(el('p', 'text-amber-900 mb-2', `${report.kept} of ${report.total} events shown.`));
+
+    SECTIONS.forEach(({ key, title }) => {
+        const entries = report[key];
+        const details = el('details', 'mb-1');
+        details.appendChild(el('summary', 'cursor-pointer font-medium text-amber-900', `${title} (${entries.length})`));
+
+        if (entries.length > 0) {
+            const list = el('ul', 'list-disc pl-6 mt-1 space-y-0.5 text-gray-700');
+            entries.forEach(entry => {
+                const name = entry.title || 'Untitled';
+                list.appendChild(el('li', null, `${name} [${entry.id ?? 'no id'}]: ${entry.reason}`));
+            });
+            details.appendChild(list);
+        }
+        panel.appendChild(details);
+    });
+
+    return panel;
+}
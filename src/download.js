@@ -0,0 +1,27 @@
+// Save generated text as a file download
+
+export function downloadFile(filename, content, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the browser a moment to start the download before revoking
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// File-name friendly version of a title ("Let's Talk: Art" -> "lets-talk-art")
+export function slugify(text) {
+    return String(text || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/['’]/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '') || 'event';
+}
@@ -0,0 +1,200 @@
+// Event cards for the list and grid views, shared by the app and the
+// <biennale-events> element. Cards come with an "Add to calendar" button
+// (data-action="add-to-calendar") for the caller to wire up.
+
+import { formatDate, getEventImageUrl, getRunStatus, PLACEHOLDER_IMAGE } from './eventUtils.js';
+import { highlightText } from './searchIndex.js';
+import { html } from './sanitize.js';
+import { t } from './i18n.js';
+
+// Badge marking a multi-day event as opening, ongoing or closing within a
+// date range ({ start, end }, see getDateFilterRange)
+export function getRunStatusBadgeHtml(event, dateRange) {
+    const status = dateRange && getRunStatus(event, dateRange.start, dateRange.end);
+    if (!status) return '';
+    
+    const styles = {
+        opening: 'bg-green-100 text-green-800',
+        ongoing: 'bg-gray-100 text-gray-700',
+        closing: 'bg-orange-100 text-orange-800'
+    };
+    return html`<span class="px-2 py-1 text-xs font-medium rounded ${styles[status]}">${t(`runStatus.${status}`)}</span>`;
+}
+
+// Show the placeholder when a card image fails to load
+function bindImageFallback(element) {
+    const image = element.querySelector('img');
+    image.addEventListener('error', () => {
+        image.src = PLACEHOLDER_IMAGE;
+    }, { once: true });
+}
+
+// Title, linked to the event's page when there is one
+function getTitleHtml(event, href, searchTerms) {
+    const title = highlightText(event.title || t('event.untitled'), searchTerms);
+    return href ? html`<a href="${href}" class="hover:text-blue-700 active:text-blue-800">${title}</a>` : title;
+}
+
+// Event card for the list view. Options: `href` links the title (plain text
+// without it), `searchTerms` are highlighted, `badgesHtml` follows the type
+// badge and `favouriteButtonHtml` adds the star.
+export function createListItem(event, { href, searchTerms, badgesHtml = '', favouriteButtonHtml = '' } = {}) {
+    const item = document.createElement('article');
+    item.className = 'bg-white rounded-lg shadow-sm overflow-hidden hover:shadow-md active:shadow-lg transition-shadow touch-manipulation border border-gray-200';
+
+    // Thumbnail
+    const thumbnailUrl = getEventImageUrl(event);
+
+    // Format date - detect mobile
+    const isMobile = window.innerWidth < 640;
+    const eventDate = formatDate(event, isMobile);
+
+    // Venue
+    const venue = event.venue || t('event.venueTba');
+
+    // Event Type
+    const eventType = event.eventType || t('event.defaultType');
+
+    item.innerHTML = html`
+        <div class="flex flex-col sm:flex-row">
+            <div class="w-full sm:w-48 lg:w-64 flex-shrink-0 aspect-video sm:aspect-auto sm:h-auto">
+                <img 
+                    src="${thumbnailUrl}" 
+                    alt=""
+                    class="w-full h-full object-cover"
+                    loading="lazy"
+                >
+            </div>
+            <div class="flex-1 p-3 sm:p-4 flex flex-col">
+                <div class="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2 mb-2">
+                    <div class="flex items-center gap-2 flex-wrap">
+                        <span class="px-2 py-1 text-xs font-medium bg-blue-100 text-blue-800 rounded">
+                            ${highlightText(eventType, searchTerms)}
+                        </span>
+                        ${badgesHtml}
+                        <span class="text-xs text-gray-500">${eventDate}</span>
+                    </div>
+                    ${favouriteButtonHtml}
+                </div>
+                <h3 class="text-base sm:text-lg font-semibold text-gray-900 mb-2 line-clamp-2 leading-tight">
+                    ${getTitleHtml(event, href, searchTerms)}
+                </h3>
+                ${event.shortDescription ? html`
+                    <p class="text-sm text-gray-600 mb-3 line-clamp-2 sm:line-clamp-3 leading-snug flex-1">
+                        ${highlightText(event.shortDescription, searchTerms)}
+                    </p>
+                ` : ''}
+                <div class="flex items-center text-sm text-gray-500 mb-2">
+                    <svg class="w-4 h-4 mr-1 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M17.657 16.657L13.414 20.9a1.998 1.998 0 01-2.827 0l-4.244-4.243a8 8 0 1111.314 0z"></path>
+                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15 11a3 3 0 11-6 0 3 3 0 016 0z"></path>
+                    </svg>
+                    <span class="truncate">${highlightText(venue, searchTerms)}</span>
+                </div>
+                <div class="mt-auto flex items-center gap-4 flex-wrap">
+                    ${event.url ? html`
+                        <a 
+                            href="${event.url}" 
+                            target="_blank" 
+                            rel="noopener noreferrer"
+                            class="inline-block text-sm text-blue-600 hover:text-blue-800 active:text-blue-900 font-medium touch-manipulation"
+                        >
+                            ${t('event.learnMore')}
+                        </a>
+                    ` : ''}
+                    <button 
+                        type="button" 
+                        data-action="add-to-calendar"
+                        class="text-sm text-gray-600 hover:text-gray-900 active:text-black font-medium touch-manipulation"
+                    >
+                        ${t('event.addToCalendar')}
+                    </button>
+                </div>
+            </div>
+        </div>
+    `;
+
+    bindImageFallback(item);
+
+    return item;
+}
+
+// Event card for the grid view; takes the same options as createListItem
+export function createGridCard(event, { href, searchTerms, badgesHtml = '', favouriteButtonHtml = '' } = {}) {
+    const card = document.createElement('article');
+    card.className = 'h-full bg-white rounded-lg shadow-sm overflow-hidden hover:shadow-md active:shadow-lg transition-shadow touch-manipulation';
+
+    // Thumbnail
+    const thumbnailUrl = getEventImageUrl(event);
+
+    // Format date - detect mobile
+    const isMobile = window.innerWidth < 640;
+    const eventDate = formatDate(event, isMobile);
+
+    // Venue
+    const venue = event.venue || t('event.venueTba');
+
+    // Event Type
+    const eventType = event.eventType || t('event.defaultType');
+
+    card.innerHTML = html`
+        <div class="aspect-video sm:aspect-[16/10] overflow-hidden bg-gray-200">
+            <img 
+                src="${thumbnailUrl}" 
+                alt=""
+                class="w-full h-full object-cover"
+                loading="lazy"
+            >
+        </div>
+        <div class="p-3 sm:p-4">
+            <div class="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-1 sm:gap-2 mb-2">
+                <span class="flex items-center gap-1 self-start">
+                    <span class="px-2 py-0.5 sm:py-1 text-xs font-medium bg-blue-100 text-blue-800 rounded">
+                        ${highlightText(eventType, searchTerms)}
+                    </span>
+                    ${badgesHtml}
+                </span>
+                <span class="text-xs text-gray-500">${eventDate}</span>
+                ${favouriteButtonHtml}
+            </div>
+            <h3 class="text-sm sm:text-base lg:text-lg font-semibold text-gray-900 mb-1 sm:mb-2 line-clamp-2 leading-tight">
+                ${getTitleHtml(event, href, searchTerms)}
+            </h3>
+            ${event.shortDescription ? html`
+                <p class="text-xs sm:text-sm text-gray-600 mb-2 sm:mb-3 line-clamp-2 leading-snug">
+                    ${highlightText(event.shortDescription, searchTerms)}
+                </p>
+            ` : ''}
+            <div class="flex items-center text-xs sm:text-sm text-gray-500">
+                <svg class="w-3 h-3 sm:w-4 sm:h-4 mr-1 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M17.657 16.657L13.414 20.9a1.998 1.998 0 01-2.827 0l-4.244-4.243a8 8 0 1111.314 0z"></path>
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15 11a3 3 0 11-6 0 3 3 0 016 0z"></path>
+                </svg>
+                <span class="truncate">${highlightText(venue, searchTerms)}</span>
+            </div>
+            <div class="mt-2 sm:mt-3 flex items-center gap-3 flex-wrap">
+                ${event.url ? html`
+                    <a 
+                        href="${event.url}" 
+                        target="_blank" 
+                        rel="noopener noreferrer"
+                        class="inline-block text-xs sm:text-sm text-blue-600 hover:text-blue-800 active:text-blue-900 font-medium touch-manipulation"
+                    >
+                        ${t('event.learnMore')}
+                    </a>
+                ` : ''}
+                <button 
+                    type="button" 
+                    data-action="add-to-calendar"
+                    class="text-xs sm:text-sm text-gray-600 hover:text-gray-900 active:text-black font-medium touch-manipulation"
+                >
+                    ${t('event.addToCalendar')}
+                </button>
+            </div>
+        </div>
+    `;
+
+    bindImageFallback(card);
+
+    return card;
+}
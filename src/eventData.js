@@ -0,0 +1,24 @@
+// Turning a fetched events payload into the sorted events the views show,
+// shared by the app and the <biennale-events> element.
+
+import { normalizeEvents } from './normalizeEvents.js';
+import { sortEventsByDate } from './eventUtils.js';
+
+// Minimum date filter - only show events still running on or after this date (IST)
+export const MIN_DATE = new Date('2025-12-12T00:00:00.000+05:30');
+
+// The docs of a payload ({ docs, page, totalPages }); throws when missing
+export function getEventDocs(data) {
+    if (!data || !Array.isArray(data.docs)) {
+        throw new Error('Invalid data format received from API');
+    }
+    return data.docs;
+}
+
+// Normalize raw docs and sort them by date. Drops events without valid dates
+// and those that ended before MIN_DATE; exhibitions that opened earlier but
+// are still running are kept. Returns { events, report }.
+export function prepareEvents(docs) {
+    const { events, report } = normalizeEvents(docs, { minDate: MIN_DATE });
+    return { events: sortEventsByDate(events), report };
+}
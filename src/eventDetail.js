@@ -0,0 +1,274 @@
+// Full-page detail view for a single event, shown at #/event/<id>.
+// Built with DOM APIs so CMS text is never parsed as HTML.
+
+import { getEventImageUrl, PLACEHOLDER_IMAGE } from './eventUtils.js';
+import { sanitizeRichText, sanitizeUrl } from './sanitize.js';
+import { formatInTimeZone } from './timeZone.js';
+import { t } from './i18n.js';
+
+// Hash route for an event's detail view
+export function getEventRoute(event) {
+    return `#/event/${encodeURIComponent(event.id)}`;
+}
+
+// Event id from a location hash, or null when it is not a detail route
+export function parseEventRoute(hash) {
+    const match = /^#\/event\/([^/?#]+)/.exec(hash);
+    return match ? decodeURIComponent(match[1]) : null;
+}
+
+// Create an element with classes and optional text
+function el(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+}
+
+// Format a date with weekday and time for the detail view
+function formatLongDate(value) {
+    return formatInTimeZone(value, {
+        weekday: 'long',
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+}
+
+// Turn a camelCase field name into a label ("entryFee" -> "Entry Fee")
+function toLabel(key) {
+    return key
+        .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+        .replace(/^./, char => char.toUpperCase());
+}
+
+// Readable text for a field value, or null for values we cannot show
+function toDisplayValue(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'boolean') return t(value ? 'detail.yes' : 'detail.no');
+    if (typeof value === 'string' || typeof value === 'number') return String(value);
+    if (typeof value === 'object') {
+        return value.title || value.place || value.name || value.label || null;
+    }
+    return null;
+}
+
+// Classes for elements kept from HTML descriptions
+const RICH_TEXT_CLASSES = {
+    p: 'mb-3',
+    h2: 'font-semibold text-gray-900 mt-4 mb-2',
+    h3: 'font-semibold text-gray-900 mt-4 mb-2',
+    h4: 'font-semibold text-gray-900 mt-4 mb-2',
+    ul: 'list-disc pl-6 mb-3',
+    ol: 'list-decimal pl-6 mb-3',
+    li: 'mb-1',
+    blockquote: 'border-l-4 border-gray-200 pl-4 italic mb-3',
+    a: 'text-blue-600 hover:text-blue-800 underline'
+};
+
+// Rich-text links may point anywhere, but only over http(s) or mailto
+function sanitizeRichTextHref(href) {
+    return sanitizeUrl(href, { protocols: ['https:', 'http:', 'mailto:'], hosts: null });
+}
+
+// Text formats in Lexical's bitmask
+const TEXT_FORMATS = [
+    [1, 'strong'],
+    [2, 'em'],
+    [8, 'u']
+];
+
+// Render a Lexical rich text node (Payload's editor format) into DOM nodes
+function renderRichTextNode(node) {
+    if (!node || typeof node !== 'object') return null;
+
+    if (node.type === 'text') {
+        let result = document.createTextNode(node.text || '');
+        TEXT_FORMATS.forEach(([bit, tag]) => {
+            if (node.format & bit) {
+                const wrapper = document.createElement(tag);
+                wrapper.appendChild(result);
+                result = wrapper;
+            }
+        });
+        return result;
+    }
+
+    if (node.type === 'linebreak') {
+        return document.createElement('br');
+    }
+
+    let element;
+    switch (node.type) {
+        case 'heading':
+            element = el(/^h[1-6]$/.test(node.tag) ? node.tag : 'h3', 'font-semibold text-gray-900 mt-4 mb-2');
+            break;
+        case 'list':
+            element = el(node.listType === 'number' ? 'ol' : 'ul', node.listType === 'number' ? 'list-decimal pl-6 mb-3' : 'list-disc pl-6 mb-3');
+            break;
+        case 'listitem':
+            element = el('li', 'mb-1');
+            break;
+        case 'quote':
+            element = el('blockquote', 'border-l-4 border-gray-200 pl-4 italic mb-3');
+            break;
+        case 'link':
+        case 'autolink': {
+            const href = sanitizeRichTextHref(node.fields?.url || node.url);
+            if (href) {
+                element = el('a', 'text-blue-600 hover:text-blue-800 underline');
+                element.href = href;
+                element.target = '_blank';
+                element.rel = 'noopener noreferrer';
+            } else {
+                element = el('span');
+            }
+            break;
+        }
+        case 'paragraph':
+            element = el('p', 'mb-3');
+            break;
+        default:
+            element = document.createDocumentFragment();
+    }
+
+    (node.children || []).forEach(child => {
+        const rendered = renderRichTextNode(child);
+        if (rendered) element.appendChild(rendered);
+    });
+
+    return element;
+}
+
+// Render the event's full description, falling back to the short one
+function createDescription(event) {
+    const description = event.description;
+    const container = el('div', 'text-sm sm:text-base text-gray-700 leading-relaxed');
+
+    if (description?.root) {
+        container.appendChild(renderRichTextNode(description.root));
+    } else if (typeof description === 'string' && /<[a-z][^>]*>/i.test(description)) {
+        container.appendChild(sanitizeRichText(description, { classes: RICH_TEXT_CLASSES }));
+    } else if (typeof description === 'string' && description.trim()) {
+        description.split(/\n{2,}/).forEach(paragraph => {
+            container.appendChild(el('p', 'mb-3 whitespace-pre-line', paragraph));
+        });
+    } else if (event.shortDescription) {
+        container.appendChild(el('p', 'mb-3', event.shortDescription));
+    }
+
+    return container.childNodes.length ? container : null;
+}
+
+// Definition list rows for the event's dates and times
+function getDateRows(event) {
+    if (!event.start) return [[t('detail.date'), t('event.dateTba')]];
+
+    if (event.end) {
+        return [
+            [t('detail.starts'), formatLongDate(event.start)],
+            [t('detail.ends'), formatLongDate(event.end)]
+        ];
+    }
+
+    return [[t('detail.date'), formatLongDate(event.start)]];
+}
+
+// Definition list rows for venue and entry details
+function getEntryRows(event) {
+    const rows = [[t('detail.venue'), event.venue || t('event.venueTba')]];
+
+    const address = toDisplayValue(event.venueAddress);
+    if (address) rows.push([t('detail.address'), address]);
+
+    Object.entries(event.entryDetails).forEach(([key, value]) => {
+        const display = toDisplayValue(value);
+        if (display) rows.push([toLabel(key), display]);
+    });
+
+    return rows;
+}
+
+// Render a titled definition list section
+function createInfoSection(title, rows) {
+    const section = el('section', 'mb-6');
+    section.appendChild(el('h2', 'text-sm font-semibold text-gray-500 uppercase tracking-wide mb-2', title));
+
+    const list = el('dl', 'grid grid-cols-1 sm:grid-cols-[8rem_1fr] gap-x-4 gap-y-1 sm:gap-y-2 text-sm sm:text-base');
+    rows.forEach(([label, value]) => {
+        list.appendChild(el('dt', 'font-medium text-gray-700', label));
+        list.appendChild(el('dd', 'text-gray-900 mb-2 sm:mb-0', value));
+    });
+    section.appendChild(list);
+
+    return section;
+}
+
+// Create the detail view for an event
+export function createEventDetail(event, { onBack, onAddToCalendar, reminderControl }) {
+    const article = el('article', 'bg-white rounded-lg shadow-sm overflow-hidden mb-6 sm:mb-8');
+
+    const backButton = el('button', 'm-3 sm:m-4 inline-flex items-center text-sm text-blue-600 hover:text-blue-800 active:text-blue-900 font-medium touch-manipulation', t('detail.back'));
+    backButton.type = 'button';
+    backButton.addEventListener('click', onBack);
+    article.appendChild(backButton);
+
+    const imageWrapper = el('div', 'aspect-video max-h-[28rem] w-full overflow-hidden bg-gray-200');
+    const image = el('img', 'w-full h-full object-cover');
+    image.src = getEventImageUrl(event);
+    image.alt = event.title || t('event.imageAlt');
+    image.addEventListener('error', () => {
+        image.src = PLACEHOLDER_IMAGE;
+    }, { once: true });
+    imageWrapper.appendChild(image);
+    article.appendChild(imageWrapper);
+
+    const body = el('div', 'p-4 sm:p-6 lg:p-8');
+
+    const tags = el('div', 'flex items-center gap-2 flex-wrap mb-3');
+    tags.appendChild(el('span', 'px-2 py-1 text-xs font-medium bg-blue-100 text-blue-800 rounded', event.eventType || t('event.defaultType')));
+    if (event.category) {
+        tags.appendChild(el('span', 'px-2 py-1 text-xs font-medium bg-gray-100 text-gray-700 rounded', event.category));
+    }
+    body.appendChild(tags);
+
+    // Focus moves here when the view opens
+    const title = el('h1', 'text-2xl sm:text-3xl font-bold text-gray-900 mb-4 leading-tight', event.title || t('event.untitled'));
+    title.tabIndex = -1;
+    body.appendChild(title);
+
+    const description = createDescription(event);
+    if (description) {
+        description.classList.add('mb-6');
+        body.appendChild(description);
+    }
+
+    body.appendChild(createInfoSection(t('detail.when'), getDateRows(event)));
+    body.appendChild(createInfoSection(t('detail.where'), getEntryRows(event)));
+
+    const actions = el('div', 'flex items-center gap-4 flex-wrap');
+
+    const calendarButton = el('button', 'px-4 py-2 text-sm font-medium text-blue-700 bg-blue-50 rounded-md hover:bg-blue-100 active:bg-blue-200 transition-colors touch-manipulation', t('event.addToCalendar'));
+    calendarButton.type = 'button';
+    calendarButton.addEventListener('click', onAddToCalendar);
+    actions.appendChild(calendarButton);
+
+    if (reminderControl) {
+        actions.appendChild(reminderControl);
+    }
+
+    if (event.url) {
+        const link = el('a', 'inline-block text-sm sm:text-base text-blue-600 hover:text-blue-800 active:text-blue-900 font-medium touch-manipulation', t('detail.website'));
+        link.href = event.url;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        actions.appendChild(link);
+    }
+
+    body.appendChild(actions);
+
+    article.appendChild(body);
+    return article;
+}
@@ -0,0 +1,155 @@
+// Export events as CSV, JSON or Markdown for spreadsheets and briefing
+// documents. Times are always written in IST, whatever the display time
+// zone, and each file starts with a header saying which filters it covers.
+
+import { downloadFile } from './download.js';
+import { t } from './i18n.js';
+import { EVENT_TIME_ZONE } from './timeZone.js';
+
+export const EXPORT_FORMATS = [
+    { key: 'csv', labelKey: 'export.csv', extension: 'csv', type: 'text/csv;charset=utf-8' },
+    { key: 'json', labelKey: 'export.json', extension: 'json', type: 'application/json;charset=utf-8' },
+    { key: 'markdown', labelKey: 'export.markdown', extension: 'md', type: 'text/markdown;charset=utf-8' }
+];
+
+// IST has no daylight saving time, so its offset is fixed
+const IST_OFFSET = '+05:30';
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+const COLUMNS = ['title', 'type', 'category', 'venue', 'start', 'end', 'link'];
+
+// "2025-12-12T18:30:00" in IST
+function toIstDateTime(date) {
+    return new Date(date.getTime() + IST_OFFSET_MS).toISOString().slice(0, 19);
+}
+
+// "2025-12-12 18:30" in IST, for spreadsheets and tables
+function formatIst(date) {
+    return date ? toIstDateTime(date).slice(0, 16).replace('T', ' ') : '';
+}
+
+// "2025-12-12T18:30:00+05:30", for JSON
+function toIstIso(date) {
+    return date ? toIstDateTime(date) + IST_OFFSET : null;
+}
+
+// The exported fields of an event, in column order
+function getRow(event) {
+    return {
+        title: event.title || t('event.untitled'),
+        type: event.eventType || '',
+        category: event.category || '',
+        venue: event.venue || '',
+        start: formatIst(event.start),
+        end: formatIst(event.end),
+        link: event.url || ''
+    };
+}
+
+// Header lines: what was exported, with which filters, and when
+function getHeaderLines({ title, filters, link, count, exportedAt }) {
+    return [
+        `${t('app.title')} — ${title}`,
+        filters.length > 0 ? t('print.filters', { filters: filters.join(', ') }) : t('export.noFilters'),
+        link ? t('export.link', { url: link }) : '',
+        t('print.count', { count }),
+        t('export.timeZone'),
+        t('export.exportedOn', { date: formatIst(exportedAt) })
+    ].filter(Boolean);
+}
+
+// Quote a CSV field when needed, or always with `quote` (RFC 4180). Values
+// that a spreadsheet would run as a formula get a leading apostrophe.
+function escapeCsv(value, quote = false) {
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return quote || /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// CSV: the header as one quoted field per row, a blank row, then the column
+// names and a row per event. CSV has no comments, so the header rows are
+// data to a spreadsheet; the blank row keeps them apart from the table.
+export function buildCsv(events, header) {
+    const lines = [
+        ...getHeaderLines(header).map(line => escapeCsv(line, true)),
+        '',
+        COLUMNS.map(column => escapeCsv(t(`export.column.${column}`))).join(','),
+        ...events.map(event => {
+            const row = getRow(event);
+            return COLUMNS.map(column => escapeCsv(row[column])).join(',');
+        })
+    ];
+    // The byte order mark lets spreadsheet apps detect UTF-8 (Malayalam, Hindi)
+    return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+// JSON with stable, untranslated field names
+export function buildJson(events, header) {
+    return JSON.stringify({
+        title: `${t('app.title')} — ${header.title}`,
+        exportedAt: header.exportedAt.toISOString(),
+        timeZone: EVENT_TIME_ZONE,
+        filters: header.filters,
+        link: header.link || null,
+        count: events.length,
+        events: events.map(event => ({
+            id: String(event.id),
+            title: event.title || null,
+            eventType: event.eventType || null,
+            category: event.category || null,
+            venue: event.venue || null,
+            start: toIstIso(event.start),
+            end: toIstIso(event.end),
+            url: event.url || null
+        }))
+    }, null, 2) + '\n';
+}
+
+// Escape text for a Markdown table cell
+function escapeMarkdown(value) {
+    return String(value)
+        .replace(/\s+/g, ' ')
+        .replace(/([\\`*_{}[\]<>|#])/g, '\\$1');
+}
+
+// A URL as a Markdown autolink for a table cell. Characters that would end
+// the link or split the row are percent-encoded.
+function getMarkdownAutolink(url) {
+    return `<${url.replace(/[|<>\s]/g, char => encodeURIComponent(char))}>`;
+}
+
+// Markdown document: title, header as a bulleted list, then a table
+export function buildMarkdown(events, header) {
+    const [title, ...details] = getHeaderLines(header);
+    const lines = [
+        `# ${escapeMarkdown(title)}`,
+        '',
+        ...details.map(line => `- ${escapeMarkdown(line)}`),
+        '',
+        `| ${COLUMNS.map(column => escapeMarkdown(t(`export.column.${column}`))).join(' | ')} |`,
+        `| ${COLUMNS.map(() => '---').join(' | ')} |`,
+        ...events.map(event => {
+            const row = getRow(event);
+            return `| ${COLUMNS.map(column => (column === 'link' && row.link
+                ? getMarkdownAutolink(row.link)
+                : escapeMarkdown(row[column]))).join(' | ')} |`;
+        })
+    ];
+    return lines.join('\n') + '\n';
+}
+
+const BUILDERS = {
+    csv: buildCsv,
+    json: buildJson,
+    markdown: buildMarkdown
+};
+
+// Download events in one of the EXPORT_FORMATS. `title` names the export,
+// `filters` are labels of the active filters and `link` opens the same view.
+export function downloadEventsExport(events, formatKey, { title, filters = [], link = '', filename = 'biennale-events' }) {
+    const format = EXPORT_FORMATS.find(option => option.key === formatKey);
+    if (!format) return;
+
+    const header = { title, filters, link, count: events.length, exportedAt: new Date() };
+    downloadFile(`${filename}.${format.extension}`, BUILDERS[format.key](events, header), format.type);
+}
@@ -0,0 +1,39 @@
+// Date and time filters, shared by the app and the <biennale-events>
+// element. The facet filters (type, venue, category) are in facets.js.
+
+import { eventOverlapsRange } from './eventUtils.js';
+import { getTimeOfDay, isHappeningAt } from './timePresets.js';
+import { endOfDay, startOfDay } from './timeZone.js';
+
+// The selected date range as { start, end } Dates (either may be null),
+// or null when no dates are selected. Days start and end at midnight in the
+// active time zone.
+export function getDateFilterRange(filters) {
+    if (!filters.dateFrom && !filters.dateTo) return null;
+
+    return {
+        start: filters.dateFrom ? startOfDay(filters.dateFrom) : null,
+        end: filters.dateTo ? endOfDay(filters.dateTo) : null
+    };
+}
+
+// Whether an event passes the date range, "happening now" and time-of-day
+// filters. Pass `dateRange` and `now` to reuse them across many events.
+export function matchesTimeFilters(event, filters, { dateRange = getDateFilterRange(filters), now = new Date() } = {}) {
+    // Date range filter: keep events running at any time in the range,
+    // including exhibitions that opened before it
+    if (dateRange && !eventOverlapsRange(event, dateRange.start, dateRange.end)) {
+        return false;
+    }
+
+    if (filters.now && !isHappeningAt(event, now)) {
+        return false;
+    }
+
+    // Time of day, by start time
+    if (filters.timeOfDay.length > 0 && !filters.timeOfDay.includes(getTimeOfDay(event))) {
+        return false;
+    }
+
+    return true;
+}
@@ -0,0 +1,162 @@
+// Helpers for dates and media of normalized events (see normalizeEvents.js).
+// Shared by the list, detail and export code.
+
+import { formatInTimeZone, getDayKey } from './timeZone.js';
+import { t } from './i18n.js';
+
+export const PLACEHOLDER_IMAGE = 'https://via.placeholder.com/400x300?text=No+Image';
+
+// Events with a single date have no end time; assume this length
+export const DEFAULT_DURATION_MINUTES = 60;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Sort events by start date (ascending - earliest first)
+export function sortEventsByDate(events) {
+    return events.sort((a, b) => a.start - b.start);
+}
+
+// Start and end of an event as Dates. Events without an end time get
+// DEFAULT_DURATION_MINUTES; `multiDay` marks ranges longer than a day, such
+// as exhibitions.
+export function getEventTimeRange(event) {
+    if (!event.start) return null;
+
+    if (event.end) {
+        return { start: event.start, end: event.end, multiDay: event.end - event.start > DAY_MS };
+    }
+
+    return {
+        start: event.start,
+        end: new Date(event.start.getTime() + DEFAULT_DURATION_MINUTES * 60 * 1000),
+        multiDay: false
+    };
+}
+
+// Whether an event runs at any point between start and end (either may be
+// null for an open-ended range)
+export function eventOverlapsRange(event, start, end) {
+    const range = getEventTimeRange(event);
+    if (!range) return false;
+    if (start && range.end <= start) return false;
+    if (end && range.start > end) return false;
+    return true;
+}
+
+// How a multi-day event relates to a date range: 'opening' when it starts
+// inside the range, 'closing' when it ends inside it, 'ongoing' when it runs
+// right through it. Without a start the range can't say when an event
+// opened, so it is only ever 'closing' or 'ongoing'. Null for single-day
+// events or when there is no range.
+export function getRunStatus(event, start, end) {
+    if (!start && !end) return null;
+
+    const range = getEventTimeRange(event);
+    if (!range || !range.multiDay) return null;
+
+    if (start && range.start >= start) return 'opening';
+    if (end && range.end <= end) return 'closing';
+    return 'ongoing';
+}
+
+// Format date for display (compact on mobile)
+export function formatDate(event, isMobile = false) {
+    if (!event.start) return t('event.dateTba');
+    
+    // Handle date range
+    if (event.end) {
+        const startDate = event.start;
+        const endDate = event.end;
+        
+        if (isMobile) {
+            // Compact format: "Dec 15 - 20, 2025"
+            const startStr = formatInTimeZone(startDate, {
+                month: 'short',
+                day: 'numeric'
+            });
+            const sameMonth = getDayKey(startDate).slice(0, 7) === getDayKey(endDate).slice(0, 7);
+            const endStr = formatInTimeZone(endDate, {
+                month: sameMonth ? undefined : 'short',
+                day: 'numeric',
+                year: 'numeric'
+            });
+            return `${startStr} - ${endStr}`;
+        } else {
+            // Full format: "Dec 15, 2025, 2:30 PM - Dec 20, 2025, 5:30 PM"
+            const startStr = formatInTimeZone(startDate, {
+                year: 'numeric',
+                month: 'short',
+                day: 'numeric',
+                hour: '2-digit',
+                minute: '2-digit'
+            });
+            const endStr = formatInTimeZone(endDate, {
+                year: 'numeric',
+                month: 'short',
+                day: 'numeric',
+                hour: '2-digit',
+                minute: '2-digit'
+            });
+            return `${startStr} - ${endStr}`;
+        }
+    }
+    
+    // Handle single date
+    if (isMobile) {
+        // Compact format for mobile: "Dec 15, 2025"
+        return formatInTimeZone(event.start, {
+            month: 'short',
+            day: 'numeric',
+            year: 'numeric'
+        });
+    } else {
+        // Full format for desktop
+        return formatInTimeZone(event.start, {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+}
+
+// Image URL of an event, or the placeholder
+export function getEventImageUrl(event) {
+    return event.imageUrl || PLACEHOLDER_IMAGE;
+}
+
+// Group events by day: multi-day events first, then one group per day in
+// date order. Returns [{ key, date, events }]; `date` is null for the
+// multi-day group.
+export function groupByDay(events) {
+    const ongoing = [];
+    const days = new Map();
+
+    events.forEach(event => {
+        const range = getEventTimeRange(event);
+        if (!range) return;
+
+        if (range.multiDay) {
+            ongoing.push(event);
+            return;
+        }
+
+        const key = getDayKey(range.start);
+        if (!days.has(key)) {
+            days.set(key, { key, date: range.start, events: [] });
+        }
+        days.get(key).events.push(event);
+    });
+
+    const byStart = (a, b) => getEventTimeRange(a).start - getEventTimeRange(b).start;
+    const groups = Array.from(days.values())
+        .sort((a, b) => a.key.localeCompare(b.key))
+        .map(group => ({ ...group, events: group.events.sort(byStart) }));
+
+    if (ongoing.length > 0) {
+        groups.unshift({ key: 'ongoing', date: null, events: ongoing.sort(byStart) });
+    }
+
+    return groups;
+}
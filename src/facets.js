@@ -0,0 +1,47 @@
+// Multi-select facet filters (event type, venue, category). Values within a
+// facet are ORed together; different facets are ANDed.
+
+export const FACETS = [
+    { key: 'eventType', labelKey: 'facets.eventType', getValue: event => event.eventType },
+    { key: 'venue', labelKey: 'facets.venue', getValue: event => event.venue },
+    { key: 'category', labelKey: 'facets.category', getValue: event => event.category }
+];
+
+// Sorted distinct values of each facet: { eventType: [...], venue: [...], ... }
+export function getFacetValues(events) {
+    const values = {};
+    FACETS.forEach(facet => {
+        const set = new Set();
+        events.forEach(event => {
+            const value = facet.getValue(event);
+            if (value) set.add(value);
+        });
+        values[facet.key] = Array.from(set).sort();
+    });
+    return values;
+}
+
+// Whether an event passes the facet selections, ignoring `exceptKey`
+export function matchesFacets(event, filters, exceptKey = null) {
+    return FACETS.every(facet => {
+        if (facet.key === exceptKey) return true;
+        const selected = filters[facet.key];
+        return selected.length === 0 || selected.includes(facet.getValue(event));
+    });
+}
+
+// Number of events each option of each facet would give, taking the other
+// facets' selections into account: { venue: Map(value -> count), ... }
+export function getFacetCounts(events, filters) {
+    const counts = {};
+    FACETS.forEach(facet => {
+        const facetCounts = new Map();
+        events.forEach(event => {
+            if (!matchesFacets(event, filters, facet.key)) return;
+            const value = facet.getValue(event);
+            if (value) facetCounts.set(value, (facetCounts.get(value) || 0) + 1);
+        });
+        counts[facet.key] = facetCounts;
+    });
+    return counts;
+}
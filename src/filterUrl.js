@@ -0,0 +1,77 @@
+// Keeps the active filters in the URL query string so reloads, shared links
+// and the back/forward buttons restore them.
+
+// Filter key -> query parameter name
+const PARAMS = {
+    search: 'q',
+    eventType: 'type',
+    venue: 'venue',
+    category: 'category',
+    dateFrom: 'from',
+    dateTo: 'to',
+    timeOfDay: 'time',
+    now: 'now'
+};
+
+// Multi-select filters, stored as repeated parameters (?venue=a&venue=b)
+const LIST_FILTERS = ['eventType', 'venue', 'category', 'timeOfDay'];
+
+// Filters with nothing selected
+export function createEmptyFilters() {
+    const filters = {};
+    Object.keys(PARAMS).forEach(key => {
+        filters[key] = LIST_FILTERS.includes(key) ? [] : '';
+    });
+    return filters;
+}
+
+// Read filters from a query string; missing parameters become '' or []
+export function readFiltersFromUrl(search = window.location.search) {
+    const params = new URLSearchParams(search);
+    const filters = {};
+    Object.entries(PARAMS).forEach(([key, param]) => {
+        filters[key] = LIST_FILTERS.includes(key)
+            ? params.getAll(param).filter(Boolean)
+            : params.get(param) || '';
+    });
+    return filters;
+}
+
+// Query string for a set of filters, keeping any unrelated parameters
+export function buildFilterSearch(filters, search = window.location.search) {
+    const params = new URLSearchParams(search);
+    Object.entries(PARAMS).forEach(([key, param]) => {
+        params.delete(param);
+        if (LIST_FILTERS.includes(key)) {
+            filters[key].forEach(value => params.append(param, value));
+        } else if (filters[key]) {
+            params.set(param, filters[key]);
+        }
+    });
+    const query = params.toString();
+    return query ? `?${query}` : '';
+}
+
+// Write filters to the URL. Pushes a history entry unless `replace` is set;
+// does nothing when the URL already matches.
+export function writeFiltersToUrl(filters, replace = false) {
+    const search = buildFilterSearch(filters);
+    if (search === window.location.search) return;
+
+    const url = window.location.pathname + search + window.location.hash;
+    if (replace) {
+        history.replaceState(history.state, '', url);
+    } else {
+        history.pushState(history.state, '', url);
+    }
+}
+
+// Whether two filter objects select the same events
+export function filtersEqual(a, b) {
+    return Object.keys(PARAMS).every(key => {
+        if (LIST_FILTERS.includes(key)) {
+            return [...a[key]].sort().join('\n') === [...b[key]].sort().join('\n');
+        }
+        return (a[key] || '') === (b[key] || '');
+    });
+}
@@ -0,0 +1,80 @@
+// UI translations. Message catalogs live in src/locales/; the chosen
+// language is remembered, and dates format with Intl in its locale.
+//
+// Messages may contain {name} placeholders. Plural messages are objects keyed
+// by Intl.PluralRules category ({ one, other }) and pick one by `count`.
+
+import { readSetting, writeSetting } from './storage.js';
+import en from './locales/en.js';
+import ml from './locales/ml.js';
+import hi from './locales/hi.js';
+
+export const LANGUAGES = [
+    { code: 'en', label: 'English', locale: 'en-US', messages: en },
+    { code: 'ml', label: 'മലയാളം', locale: 'ml-IN', messages: ml },
+    { code: 'hi', label: 'हिन्दी', locale: 'hi-IN', messages: hi }
+];
+
+// Saved language, else the browser's if we have it, else English
+function getInitialLanguage() {
+    const saved = readSetting('language');
+    if (LANGUAGES.some(({ code }) => code === saved)) return saved;
+
+    // No navigator when prerendering in Node
+    const browser = (globalThis.navigator?.language || '').slice(0, 2).toLowerCase();
+    return LANGUAGES.some(({ code }) => code === browser) ? browser : 'en';
+}
+
+let current = LANGUAGES.find(({ code }) => code === getInitialLanguage());
+
+export function getLanguage() {
+    return current.code;
+}
+
+// BCP 47 locale for Intl formatting
+export function getLocale() {
+    return current.locale;
+}
+
+export function setLanguage(code) {
+    current = LANGUAGES.find(language => language.code === code) || LANGUAGES[0];
+    writeSetting('language', current.code);
+}
+
+// Translate a message key, falling back to English and then the key itself
+export function t(key, params = {}) {
+    let message = current.messages[key] ?? en[key] ?? key;
+
+    if (typeof message === 'object') {
+        const category = new Intl.PluralRules(current.locale).select(params.count ?? 0);
+        message = message[category] ?? message.other;
+    }
+
+    return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+// data-i18n-* attribute -> attribute it translates
+const ATTRIBUTES = [
+    ['i18nPlaceholder', 'placeholder'],
+    ['i18nAriaLabel', 'aria-label'],
+    ['i18nTitle', 'title']
+];
+
+// Translate static markup: data-i18n sets the text, and
+// data-i18n-placeholder / data-i18n-aria-label / data-i18n-title set those
+// attributes
+export function translateDocument(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    ATTRIBUTES.forEach(([dataKey, attribute]) => {
+        root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+            element.setAttribute(attribute, t(element.dataset[dataKey]));
+        });
+    });
+
+    if (root === document) {
+        document.documentElement.lang = current.code;
+        document.title = t('app.title');
+    }
+}
@@ -0,0 +1,100 @@
+// iCalendar (RFC 5545) export for events
+
+import { downloadFile, slugify } from './download.js';
+import { getEventTimeRange } from './eventUtils.js';
+import { t } from './i18n.js';
+
+const PRODUCT_ID = '-//Kochi-Muziris Biennale Events//EN';
+const UID_DOMAIN = 'kochimuzirisbiennale.org';
+
+// Format a date as a UTC date-time ("20251212T123000Z")
+function formatDateTime(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Escape a TEXT value (RFC 5545 section 3.3.11)
+function escapeText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Fold a content line to at most 75 octets, without splitting characters
+function foldLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+
+    for (const char of line) {
+        const charBytes = encoder.encode(char).length;
+        // Continuation lines start with a space, which counts towards the limit
+        const limit = parts.length === 0 ? 75 : 74;
+        if (currentBytes + charBytes > limit) {
+            parts.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += charBytes;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+// VEVENT content lines for an event, or [] when it has no date
+function buildEventLines(event, stamp) {
+    const times = getEventTimeRange(event);
+    if (!times) return [];
+
+    const { venue, url } = event;
+    const description = [event.shortDescription, url].filter(Boolean).join('\n\n');
+
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${escapeText(event.id)}@${UID_DOMAIN}`,
+        `DTSTAMP:${formatDateTime(stamp)}`,
+        `DTSTART:${formatDateTime(times.start)}`,
+        `DTEND:${formatDateTime(times.end)}`,
+        `SUMMARY:${escapeText(event.title || t('event.untitled'))}`
+    ];
+
+    if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+    if (venue) lines.push(`LOCATION:${escapeText(venue)}`);
+    if (url) lines.push(`URL:${url}`);
+    if (event.eventType) lines.push(`CATEGORIES:${escapeText(event.eventType)}`);
+    if (event.updatedAt) lines.push(`LAST-MODIFIED:${formatDateTime(event.updatedAt)}`);
+
+    lines.push('END:VEVENT');
+    return lines;
+}
+
+// Build a VCALENDAR document containing the given events
+export function buildCalendar(events, name = 'Kochi-Muziris Biennale') {
+    const stamp = new Date();
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        ...events.flatMap(event => buildEventLines(event, stamp)),
+        'END:VCALENDAR'
+    ];
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// Download a single event as an .ics file
+export function downloadEventCalendar(event) {
+    downloadFile(`${slugify(event.title)}.ics`, buildCalendar([event], event.title), 'text/calendar;charset=utf-8');
+}
+
+// Download a list of events as one .ics file
+export function downloadEventsCalendar(events, filename = 'biennale-events.ics') {
+    downloadFile(filename, buildCalendar(events), 'text/calendar;charset=utf-8');
+}
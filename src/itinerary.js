@@ -0,0 +1,58 @@
+// Personal itinerary: starred events saved in localStorage, with
+// overlapping events flagged.
+
+import { getEventTimeRange } from './eventUtils.js';
+import { readSetting, writeSetting } from './storage.js';
+
+const STORAGE_KEY = 'favourites';
+
+let favouriteIds = new Set(readSetting(STORAGE_KEY, []).map(String));
+
+export function isFavourite(event) {
+    return favouriteIds.has(String(event.id));
+}
+
+// Star or unstar an event; returns the new state
+export function toggleFavourite(event) {
+    const id = String(event.id);
+    if (favouriteIds.has(id)) {
+        favouriteIds.delete(id);
+    } else {
+        favouriteIds.add(id);
+    }
+    writeSetting(STORAGE_KEY, Array.from(favouriteIds));
+    return favouriteIds.has(id);
+}
+
+// Starred events from a list, in the list's order
+export function getFavouriteEvents(events) {
+    return events.filter(isFavourite);
+}
+
+// Map of event id -> events it overlaps with. Exhibitions and other events
+// running over several days are open all day, so they never conflict.
+export function findConflicts(events) {
+    const timed = events
+        .map(event => ({ event, range: getEventTimeRange(event) }))
+        .filter(({ range }) => range && !range.multiDay)
+        .sort((a, b) => a.range.start - b.range.start);
+
+    const conflicts = new Map();
+    const addConflict = (a, b) => {
+        const id = String(a.id);
+        if (!conflicts.has(id)) conflicts.set(id, []);
+        conflicts.get(id).push(b);
+    };
+
+    timed.forEach((current, index) => {
+        for (let i = index + 1; i < timed.length; i++) {
+            const next = timed[i];
+            // Sorted by start, so nothing later can overlap either
+            if (next.range.start >= current.range.end) break;
+            addConflict(current.event, next.event);
+            addConflict(next.event, current.event);
+        }
+    });
+
+    return conflicts;
+}
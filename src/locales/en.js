@@ -0,0 +1,242 @@
+// English messages; also the fallback for keys missing from other catalogs
+
+export default {
+    'app.title': 'Kochi-Muziris Biennale Events',
+    'app.tagline': 'Explore events, performances, and programs from the biennale',
+    'app.language': 'Language',
+    'app.lastUpdated': 'Last updated {date}',
+    'a11y.skipToResults': 'Skip to events',
+
+    'filters.heading': 'Filters',
+    'filters.search': 'Search',
+    'filters.searchPlaceholder': 'Search events, venues, categories...',
+    'filters.quickDates': 'Quick dates',
+    'filters.timeOfDay': 'Time of day',
+    'filters.dateFrom': 'Date From',
+    'filters.dateTo': 'Date To',
+    'filters.clearAll': 'Clear All Filters',
+    'filters.exportIcs': 'Export Filtered Events (.ics)',
+
+    'facets.eventType': 'Event Type',
+    'facets.venue': 'Venue',
+    'facets.category': 'Category',
+
+    'presets.now': 'Happening now',
+    'presets.today': 'Today',
+    'presets.tomorrow': 'Tomorrow',
+    'presets.weekend': 'This weekend',
+
+    'timeOfDay.morning': 'Morning',
+    'timeOfDay.afternoon': 'Afternoon',
+    'timeOfDay.evening': 'Evening',
+
+    'timeZone.toggle': 'Show times in my timezone ({zone})',
+    'timeZone.ist': 'Times are shown in India Standard Time (IST).',
+    'timeZone.local': 'Times are shown in your timezone ({zone}).',
+
+    'chips.search': 'Search: {value}',
+    'chips.facet': '{facet}: {value}',
+    'chips.from': 'From: {value}',
+    'chips.to': 'To: {value}',
+    'chips.remove': 'Remove filter {label}',
+    'chips.clearAll': 'Clear all',
+
+    'status.loading': 'Loading events...',
+    'errors.refresh': 'Showing saved programme. Could not refresh events: {message}',
+    'errors.load': 'Failed to load events: {message}',
+
+    'toolbar.allEvents': 'All Events',
+    'toolbar.itinerary': 'My Itinerary',
+    'toolbar.view': 'View',
+
+    'print.button': 'Print programme',
+    'print.programme': 'Programme',
+    'print.filters': 'Filters: {filters}',
+    'print.count': {
+        one: '{count} event',
+        other: '{count} events'
+    },
+    'print.printedOn': 'Printed {date}',
+    'print.qrLabel': 'QR code linking to {title}',
+    'print.empty': 'No events to print.',
+
+    'export.button': 'Export',
+    'export.csv': 'Spreadsheet (.csv)',
+    'export.json': 'Data (.json)',
+    'export.markdown': 'Document (.md)',
+    'export.noFilters': 'Filters: none',
+    'export.link': 'View online: {url}',
+    'export.timeZone': 'Times are in India Standard Time (IST, UTC+05:30)',
+    'export.exportedOn': 'Exported {date} IST',
+    'export.column.title': 'Title',
+    'export.column.type': 'Type',
+    'export.column.category': 'Category',
+    'export.column.venue': 'Venue',
+    'export.column.start': 'Start (IST)',
+    'export.column.end': 'End (IST)',
+    'export.column.link': 'Link',
+
+    'embed.showing': 'Showing {shown} of {count} events',
+
+    'views.list': 'List',
+    'views.grid': 'Grid',
+    'views.calendar': 'Calendar',
+    'views.agenda': 'Agenda',
+    'views.timeline': 'Timeline',
+    'views.stats': 'Statistics',
+
+    'sort.label': 'Sort by',
+    'sort.relevance': 'Best match',
+    'sort.dateAsc': 'Date (earliest first)',
+    'sort.dateDesc': 'Date (latest first)',
+    'sort.title': 'Title A–Z',
+    'sort.venue': 'Venue',
+    'sort.duration': 'Duration (shortest first)',
+    'sort.endingSoon': 'Ending soonest',
+
+    'group.label': 'Group by',
+    'group.none': 'None',
+    'group.day': 'Day',
+    'group.venue': 'Venue',
+    'group.category': 'Category',
+    'group.eventType': 'Event type',
+    'group.noCategory': 'Uncategorized',
+    'group.count': {
+        one: '{count} event',
+        other: '{count} events'
+    },
+
+    'changes.heading': "What's changed since your last visit",
+    'changes.since': 'since {date}',
+    'changes.new': 'New',
+    'changes.time': 'Time changed',
+    'changes.venue': 'Venue changed',
+    'changes.updated': 'Updated',
+    'changes.removed': 'Removed',
+    'changes.count.new': { one: '{count} new', other: '{count} new' },
+    'changes.count.time': { one: '{count} time change', other: '{count} time changes' },
+    'changes.count.venue': { one: '{count} venue change', other: '{count} venue changes' },
+    'changes.count.updated': { one: '{count} updated', other: '{count} updated' },
+    'changes.count.removed': { one: '{count} removed', other: '{count} removed' },
+    'changes.was': 'Was {before}, now {after}',
+    'changes.removedDetail': 'Was {date} at {venue}',
+    'changes.markSeen': 'Mark all as seen',
+    'changes.autoRefresh': 'Check for updates every 15 minutes',
+    'changes.refreshed': {
+        one: 'Programme updated: {count} change',
+        other: 'Programme updated: {count} changes'
+    },
+
+    'results.heading': 'Events',
+    'results.count': {
+        one: '{count} event found',
+        other: '{count} events found'
+    },
+    'results.empty': 'No events found matching your filters.',
+
+    'pagination.label': 'Pagination',
+    'pagination.perPage': 'Per page',
+    'pagination.show': 'Show',
+    'pagination.pages': 'Pages',
+    'pagination.loadMore': 'Load more',
+    'pagination.first': 'First page',
+    'pagination.previous': 'Previous',
+    'pagination.next': 'Next',
+    'pagination.last': 'Last page',
+    'pagination.page': 'Page {page}',
+    'pagination.summary': 'Showing {start}–{end} of {total}',
+
+    'event.untitled': 'Untitled Event',
+    'event.venueTba': 'Venue TBA',
+    'event.dateTba': 'Date TBA',
+    'event.defaultType': 'Event',
+    'event.imageAlt': 'Event image',
+    'event.learnMore': 'Learn More →',
+    'event.addToCalendar': 'Add to calendar',
+    'event.addToItinerary': 'Add to my itinerary',
+    'event.removeFromItinerary': 'Remove from my itinerary',
+    'event.overlapsWith': 'Overlaps with {events}',
+
+    'runStatus.opening': 'Opening',
+    'runStatus.ongoing': 'Ongoing',
+    'runStatus.closing': 'Closing',
+
+    'agenda.multiDay': 'Exhibitions and multi-day events',
+    'itinerary.empty': 'No events in your itinerary yet. Tap the star on an event to add it.',
+
+    'reminders.heading': 'Reminders',
+    'reminders.label': 'Reminder for {title}',
+    'reminders.remindMe': 'Remind me',
+    'reminders.cancel': 'No reminder',
+    'reminders.before15': '15 minutes before',
+    'reminders.before60': '1 hour before',
+    'reminders.set': 'Reminder set for {time}. Keep this site open in a tab for it to go off.',
+    'reminders.setScheduled': 'Reminder set for {time}.',
+    'reminders.moved': '{title} now starts {time}; your reminder has moved with it.',
+    'reminders.startsAt': 'Starts at {time} · {venue}',
+    'reminders.view': 'View event',
+    'reminders.empty': 'No reminders yet. Choose "Remind me" on an upcoming event.',
+    'reminders.noteNotifications': "Reminders arrive as notifications only while this site is open in a tab. They don't go off once the tab is closed, and may be late or missed if your phone suspends it.",
+    'reminders.noteToast': "Reminders appear on this page only while it is open; they don't go off once the tab is closed, and may be late or missed if your phone suspends it. Allow notifications to get them while you use other tabs.",
+    'reminders.noteScheduled': 'Reminders are scheduled as notifications with your browser, so they arrive even when this site is closed.',
+    'reminders.limit': 'Reminders only go off while this site is open in a tab',
+    'reminders.remove': 'Cancel',
+    'reminders.removeFor': 'Cancel reminder for {title}',
+
+    'toast.dismiss': 'Dismiss',
+
+    'detail.back': '← Back to events',
+    'detail.notFound': 'This event could not be found.',
+    'detail.when': 'When',
+    'detail.where': 'Where',
+    'detail.date': 'Date',
+    'detail.starts': 'Starts',
+    'detail.ends': 'Ends',
+    'detail.venue': 'Venue',
+    'detail.address': 'Address',
+    'detail.yes': 'Yes',
+    'detail.no': 'No',
+    'detail.website': 'View on the Biennale website →',
+
+    'calendar.previousMonth': 'Previous month',
+    'calendar.nextMonth': 'Next month',
+    'calendar.dayEvents': {
+        one: '{date}: {count} event',
+        other: '{date}: {count} events'
+    },
+
+    'timeline.zoom': 'Zoom',
+    'timeline.day': 'Day',
+    'timeline.week': 'Week',
+    'timeline.season': 'Season',
+    'timeline.previousDay': 'Previous day',
+    'timeline.nextDay': 'Next day',
+    'timeline.previousWeek': 'Previous week',
+    'timeline.nextWeek': 'Next week',
+    'timeline.empty': 'No events in this period.',
+
+    'stats.events': 'Events',
+    'stats.ofTotal': 'of {total} in the programme',
+    'stats.days': 'Days with events',
+    'stats.busiestDay': {
+        one: 'Busiest day: {count} event',
+        other: 'Busiest day: {count} events'
+    },
+    'stats.venues': 'Venues',
+    'stats.evening': 'Evening events',
+    'stats.eveningDetail': '{evening} evening, {daytime} daytime',
+    'stats.perDay': 'Events per day',
+    'stats.dayBar': {
+        one: '{date}: {count} event',
+        other: '{date}: {count} events'
+    },
+    'stats.by.venue': 'Busiest venues',
+    'stats.by.eventType': 'Event types',
+    'stats.by.category': 'Categories',
+    'stats.by.timeOfDay': 'Time of day',
+    'stats.notSet': 'Not set',
+    'stats.more': {
+        one: '{count} more with {events} events',
+        other: '{count} more with {events} events'
+    }
+};
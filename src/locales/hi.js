@@ -0,0 +1,242 @@
+// Hindi messages
+
+export default {
+    'app.title': 'कोच्चि-मुज़िरिस बिएनाले कार्यक्रम',
+    'app.tagline': 'बिएनाले के कार्यक्रम, प्रस्तुतियाँ और आयोजन देखें',
+    'app.language': 'भाषा',
+    'app.lastUpdated': 'अंतिम अपडेट {date}',
+    'a11y.skipToResults': 'कार्यक्रमों पर जाएँ',
+
+    'filters.heading': 'फ़िल्टर',
+    'filters.search': 'खोजें',
+    'filters.searchPlaceholder': 'कार्यक्रम, स्थान, श्रेणियाँ खोजें...',
+    'filters.quickDates': 'त्वरित तारीखें',
+    'filters.timeOfDay': 'दिन का समय',
+    'filters.dateFrom': 'तारीख से',
+    'filters.dateTo': 'तारीख तक',
+    'filters.clearAll': 'सभी फ़िल्टर हटाएँ',
+    'filters.exportIcs': 'चुने गए कार्यक्रम एक्सपोर्ट करें (.ics)',
+
+    'facets.eventType': 'कार्यक्रम का प्रकार',
+    'facets.venue': 'स्थान',
+    'facets.category': 'श्रेणी',
+
+    'presets.now': 'अभी चल रहे',
+    'presets.today': 'आज',
+    'presets.tomorrow': 'कल',
+    'presets.weekend': 'इस सप्ताहांत',
+
+    'timeOfDay.morning': 'सुबह',
+    'timeOfDay.afternoon': 'दोपहर',
+    'timeOfDay.evening': 'शाम',
+
+    'timeZone.toggle': 'मेरे समय क्षेत्र में समय दिखाएँ ({zone})',
+    'timeZone.ist': 'समय भारतीय मानक समय (IST) में दिखाया गया है।',
+    'timeZone.local': 'समय आपके समय क्षेत्र ({zone}) में दिखाया गया है।',
+
+    'chips.search': 'खोज: {value}',
+    'chips.facet': '{facet}: {value}',
+    'chips.from': 'से: {value}',
+    'chips.to': 'तक: {value}',
+    'chips.remove': 'फ़िल्टर हटाएँ: {label}',
+    'chips.clearAll': 'सभी हटाएँ',
+
+    'status.loading': 'कार्यक्रम लोड हो रहे हैं...',
+    'errors.refresh': 'सहेजा गया कार्यक्रम दिखाया जा रहा है। अपडेट नहीं हो सका: {message}',
+    'errors.load': 'कार्यक्रम लोड नहीं हो सके: {message}',
+
+    'toolbar.allEvents': 'सभी कार्यक्रम',
+    'toolbar.itinerary': 'मेरी यात्रा योजना',
+    'toolbar.view': 'दृश्य',
+
+    'print.button': 'कार्यक्रम सूची प्रिंट करें',
+    'print.programme': 'कार्यक्रम सूची',
+    'print.filters': 'फ़िल्टर: {filters}',
+    'print.count': {
+        one: '{count} कार्यक्रम',
+        other: '{count} कार्यक्रम'
+    },
+    'print.printedOn': 'प्रिंट किया गया {date}',
+    'print.qrLabel': '{title} का QR कोड',
+    'print.empty': 'प्रिंट करने के लिए कोई कार्यक्रम नहीं।',
+
+    'export.button': 'एक्सपोर्ट',
+    'export.csv': 'स्प्रेडशीट (.csv)',
+    'export.json': 'डेटा (.json)',
+    'export.markdown': 'दस्तावेज़ (.md)',
+    'export.noFilters': 'फ़िल्टर: कोई नहीं',
+    'export.link': 'ऑनलाइन देखें: {url}',
+    'export.timeZone': 'समय भारतीय मानक समय (IST, UTC+05:30) में हैं',
+    'export.exportedOn': 'एक्सपोर्ट किया गया {date} IST',
+    'export.column.title': 'नाम',
+    'export.column.type': 'प्रकार',
+    'export.column.category': 'श्रेणी',
+    'export.column.venue': 'स्थान',
+    'export.column.start': 'शुरुआत (IST)',
+    'export.column.end': 'समाप्ति (IST)',
+    'export.column.link': 'लिंक',
+
+    'embed.showing': '{count} में से {shown} कार्यक्रम दिखाए जा रहे हैं',
+
+    'views.list': 'सूची',
+    'views.grid': 'ग्रिड',
+    'views.calendar': 'कैलेंडर',
+    'views.agenda': 'एजेंडा',
+    'views.timeline': 'टाइमलाइन',
+    'views.stats': 'आँकड़े',
+
+    'sort.label': 'क्रम',
+    'sort.relevance': 'सबसे मिलते-जुलते',
+    'sort.dateAsc': 'तारीख (पहले वाले पहले)',
+    'sort.dateDesc': 'तारीख (बाद वाले पहले)',
+    'sort.title': 'नाम A–Z',
+    'sort.venue': 'स्थान',
+    'sort.duration': 'अवधि (छोटे पहले)',
+    'sort.endingSoon': 'जल्द समाप्त होने वाले',
+
+    'group.label': 'समूह',
+    'group.none': 'कोई नहीं',
+    'group.day': 'दिन',
+    'group.venue': 'स्थान',
+    'group.category': 'श्रेणी',
+    'group.eventType': 'कार्यक्रम का प्रकार',
+    'group.noCategory': 'बिना श्रेणी',
+    'group.count': {
+        one: '{count} कार्यक्रम',
+        other: '{count} कार्यक्रम'
+    },
+
+    'changes.heading': 'आपकी पिछली विज़िट के बाद क्या बदला',
+    'changes.since': '{date} से',
+    'changes.new': 'नया',
+    'changes.time': 'समय बदला',
+    'changes.venue': 'स्थान बदला',
+    'changes.updated': 'अपडेट हुआ',
+    'changes.removed': 'हटाया गया',
+    'changes.count.new': { one: '{count} नया', other: '{count} नए' },
+    'changes.count.time': { one: '{count} समय बदलाव', other: '{count} समय बदलाव' },
+    'changes.count.venue': { one: '{count} स्थान बदलाव', other: '{count} स्थान बदलाव' },
+    'changes.count.updated': { one: '{count} अपडेट', other: '{count} अपडेट' },
+    'changes.count.removed': { one: '{count} हटाया गया', other: '{count} हटाए गए' },
+    'changes.was': 'पहले {before}, अब {after}',
+    'changes.removedDetail': 'पहले {date}, {venue}',
+    'changes.markSeen': 'सभी को देखा हुआ मानें',
+    'changes.autoRefresh': 'हर 15 मिनट में अपडेट देखें',
+    'changes.refreshed': {
+        one: 'कार्यक्रम सूची अपडेट हुई: {count} बदलाव',
+        other: 'कार्यक्रम सूची अपडेट हुई: {count} बदलाव'
+    },
+
+    'results.heading': 'कार्यक्रम',
+    'results.count': {
+        one: '{count} कार्यक्रम मिला',
+        other: '{count} कार्यक्रम मिले'
+    },
+    'results.empty': 'आपके फ़िल्टर से मेल खाता कोई कार्यक्रम नहीं मिला।',
+
+    'pagination.label': 'पृष्ठ',
+    'pagination.perPage': 'प्रति पृष्ठ',
+    'pagination.show': 'दिखाएँ',
+    'pagination.pages': 'पृष्ठ',
+    'pagination.loadMore': 'और दिखाएँ',
+    'pagination.first': 'पहला पृष्ठ',
+    'pagination.previous': 'पिछला',
+    'pagination.next': 'अगला',
+    'pagination.last': 'अंतिम पृष्ठ',
+    'pagination.page': 'पृष्ठ {page}',
+    'pagination.summary': '{total} में से {start}–{end} दिखाए जा रहे हैं',
+
+    'event.untitled': 'बिना शीर्षक का कार्यक्रम',
+    'event.venueTba': 'स्थान की घोषणा बाद में',
+    'event.dateTba': 'तारीख की घोषणा बाद में',
+    'event.defaultType': 'कार्यक्रम',
+    'event.imageAlt': 'कार्यक्रम की तस्वीर',
+    'event.learnMore': 'और जानें →',
+    'event.addToCalendar': 'कैलेंडर में जोड़ें',
+    'event.addToItinerary': 'मेरी यात्रा योजना में जोड़ें',
+    'event.removeFromItinerary': 'मेरी यात्रा योजना से हटाएँ',
+    'event.overlapsWith': '{events} के समय से टकराता है',
+
+    'runStatus.opening': 'शुरुआत',
+    'runStatus.ongoing': 'जारी',
+    'runStatus.closing': 'समापन',
+
+    'agenda.multiDay': 'प्रदर्शनियाँ और कई दिनों के कार्यक्रम',
+    'itinerary.empty': 'आपकी यात्रा योजना में अभी कोई कार्यक्रम नहीं है। जोड़ने के लिए किसी कार्यक्रम पर तारे को टैप करें।',
+
+    'reminders.heading': 'रिमाइंडर',
+    'reminders.label': '{title} के लिए रिमाइंडर',
+    'reminders.remindMe': 'याद दिलाएँ',
+    'reminders.cancel': 'कोई रिमाइंडर नहीं',
+    'reminders.before15': '15 मिनट पहले',
+    'reminders.before60': '1 घंटा पहले',
+    'reminders.set': '{time} के लिए रिमाइंडर सेट किया गया। इसके लिए यह साइट किसी टैब में खुली रखें।',
+    'reminders.setScheduled': '{time} के लिए रिमाइंडर सेट किया गया।',
+    'reminders.moved': '{title} अब {time} पर शुरू होगा; आपका रिमाइंडर भी बदल दिया गया है।',
+    'reminders.startsAt': '{time} पर शुरू · {venue}',
+    'reminders.view': 'कार्यक्रम देखें',
+    'reminders.empty': 'अभी कोई रिमाइंडर नहीं। किसी आगामी कार्यक्रम पर "याद दिलाएँ" चुनें।',
+    'reminders.noteNotifications': 'रिमाइंडर सूचनाओं के रूप में तभी आते हैं जब यह साइट किसी टैब में खुली हो। टैब बंद होने पर वे नहीं आते, और फ़ोन के टैब को रोक देने पर देर से आ सकते हैं या छूट सकते हैं।',
+    'reminders.noteToast': 'रिमाइंडर इस पेज पर तभी दिखते हैं जब यह खुला हो; टैब बंद होने पर वे नहीं आते, और फ़ोन के टैब को रोक देने पर देर से आ सकते हैं या छूट सकते हैं। दूसरे टैब में रहते हुए भी पाने के लिए सूचनाओं की अनुमति दें।',
+    'reminders.noteScheduled': 'रिमाइंडर आपके ब्राउज़र में सूचनाओं के रूप में तय किए गए हैं, इसलिए यह साइट बंद होने पर भी आते हैं।',
+    'reminders.limit': 'रिमाइंडर तभी आते हैं जब यह साइट किसी टैब में खुली हो',
+    'reminders.remove': 'रद्द करें',
+    'reminders.removeFor': '{title} का रिमाइंडर रद्द करें',
+
+    'toast.dismiss': 'बंद करें',
+
+    'detail.back': '← कार्यक्रमों पर वापस जाएँ',
+    'detail.notFound': 'यह कार्यक्रम नहीं मिला।',
+    'detail.when': 'कब',
+    'detail.where': 'कहाँ',
+    'detail.date': 'तारीख',
+    'detail.starts': 'शुरू',
+    'detail.ends': 'समाप्त',
+    'detail.venue': 'स्थान',
+    'detail.address': 'पता',
+    'detail.yes': 'हाँ',
+    'detail.no': 'नहीं',
+    'detail.website': 'बिएनाले वेबसाइट पर देखें →',
+
+    'calendar.previousMonth': 'पिछला महीना',
+    'calendar.nextMonth': 'अगला महीना',
+    'calendar.dayEvents': {
+        one: '{date}: {count} कार्यक्रम',
+        other: '{date}: {count} कार्यक्रम'
+    },
+
+    'timeline.zoom': 'ज़ूम',
+    'timeline.day': 'दिन',
+    'timeline.week': 'सप्ताह',
+    'timeline.season': 'सीज़न',
+    'timeline.previousDay': 'पिछला दिन',
+    'timeline.nextDay': 'अगला दिन',
+    'timeline.previousWeek': 'पिछला सप्ताह',
+    'timeline.nextWeek': 'अगला सप्ताह',
+    'timeline.empty': 'इस अवधि में कोई कार्यक्रम नहीं है।',
+
+    'stats.events': 'कार्यक्रम',
+    'stats.ofTotal': 'कार्यक्रम-सूची के {total} में से',
+    'stats.days': 'कार्यक्रमों वाले दिन',
+    'stats.busiestDay': {
+        one: 'सबसे व्यस्त दिन: {count} कार्यक्रम',
+        other: 'सबसे व्यस्त दिन: {count} कार्यक्रम'
+    },
+    'stats.venues': 'स्थान',
+    'stats.evening': 'शाम के कार्यक्रम',
+    'stats.eveningDetail': 'शाम {evening}, दिन में {daytime}',
+    'stats.perDay': 'प्रतिदिन कार्यक्रम',
+    'stats.dayBar': {
+        one: '{date}: {count} कार्यक्रम',
+        other: '{date}: {count} कार्यक्रम'
+    },
+    'stats.by.venue': 'सबसे व्यस्त स्थान',
+    'stats.by.eventType': 'कार्यक्रम के प्रकार',
+    'stats.by.category': 'श्रेणियाँ',
+    'stats.by.timeOfDay': 'दिन का समय',
+    'stats.notSet': 'तय नहीं',
+    'stats.more': {
+        one: '{count} और, {events} कार्यक्रमों के साथ',
+        other: '{count} और, {events} कार्यक्रमों के साथ'
+    }
+};
@@ -0,0 +1,242 @@
+// Malayalam messages
+
+export default {
+    'app.title': 'കൊച്ചി-മുസിരിസ് ബിനാലെ പരിപാടികൾ',
+    'app.tagline': 'ബിനാലെയിലെ പരിപാടികളും അവതരണങ്ങളും കണ്ടെത്തൂ',
+    'app.language': 'ഭാഷ',
+    'app.lastUpdated': 'അവസാനം പുതുക്കിയത് {date}',
+    'a11y.skipToResults': 'പരിപാടികളിലേക്ക് പോകുക',
+
+    'filters.heading': 'ഫിൽട്ടറുകൾ',
+    'filters.search': 'തിരയുക',
+    'filters.searchPlaceholder': 'പരിപാടികൾ, വേദികൾ, വിഭാഗങ്ങൾ തിരയുക...',
+    'filters.quickDates': 'പെട്ടെന്നുള്ള തീയതികൾ',
+    'filters.timeOfDay': 'ദിവസത്തിലെ സമയം',
+    'filters.dateFrom': 'മുതൽ',
+    'filters.dateTo': 'വരെ',
+    'filters.clearAll': 'എല്ലാ ഫിൽട്ടറുകളും മായ്ക്കുക',
+    'filters.exportIcs': 'തിരഞ്ഞെടുത്ത പരിപാടികൾ എക്സ്പോർട്ട് ചെയ്യുക (.ics)',
+
+    'facets.eventType': 'പരിപാടിയുടെ തരം',
+    'facets.venue': 'വേദി',
+    'facets.category': 'വിഭാഗം',
+
+    'presets.now': 'ഇപ്പോൾ നടക്കുന്നവ',
+    'presets.today': 'ഇന്ന്',
+    'presets.tomorrow': 'നാളെ',
+    'presets.weekend': 'ഈ വാരാന്ത്യം',
+
+    'timeOfDay.morning': 'രാവിലെ',
+    'timeOfDay.afternoon': 'ഉച്ചയ്ക്ക്',
+    'timeOfDay.evening': 'വൈകുന്നേരം',
+
+    'timeZone.toggle': 'എന്റെ സമയമേഖലയിൽ സമയം കാണിക്കുക ({zone})',
+    'timeZone.ist': 'സമയം ഇന്ത്യൻ സ്റ്റാൻഡേർഡ് ടൈമിൽ (IST) ആണ്.',
+    'timeZone.local': 'സമയം നിങ്ങളുടെ സമയമേഖലയിൽ ({zone}) ആണ്.',
+
+    'chips.search': 'തിരയൽ: {value}',
+    'chips.facet': '{facet}: {value}',
+    'chips.from': 'മുതൽ: {value}',
+    'chips.to': 'വരെ: {value}',
+    'chips.remove': 'ഫിൽട്ടർ നീക്കുക: {label}',
+    'chips.clearAll': 'എല്ലാം മായ്ക്കുക',
+
+    'status.loading': 'പരിപാടികൾ ലോഡ് ചെയ്യുന്നു...',
+    'errors.refresh': 'സംരക്ഷിച്ച പരിപാടി പട്ടിക കാണിക്കുന്നു. പുതുക്കാൻ കഴിഞ്ഞില്ല: {message}',
+    'errors.load': 'പരിപാടികൾ ലോഡ് ചെയ്യാൻ കഴിഞ്ഞില്ല: {message}',
+
+    'toolbar.allEvents': 'എല്ലാ പരിപാടികളും',
+    'toolbar.itinerary': 'എന്റെ യാത്രാപദ്ധതി',
+    'toolbar.view': 'കാഴ്ച',
+
+    'print.button': 'പരിപാടിപ്പട്ടിക പ്രിന്റ് ചെയ്യുക',
+    'print.programme': 'പരിപാടിപ്പട്ടിക',
+    'print.filters': 'ഫിൽട്ടറുകൾ: {filters}',
+    'print.count': {
+        one: '{count} പരിപാടി',
+        other: '{count} പരിപാടികൾ'
+    },
+    'print.printedOn': 'പ്രിന്റ് ചെയ്തത് {date}',
+    'print.qrLabel': '{title} എന്നതിലേക്കുള്ള QR കോഡ്',
+    'print.empty': 'പ്രിന്റ് ചെയ്യാൻ പരിപാടികളൊന്നുമില്ല.',
+
+    'export.button': 'എക്സ്പോർട്ട്',
+    'export.csv': 'സ്പ്രെഡ്ഷീറ്റ് (.csv)',
+    'export.json': 'ഡാറ്റ (.json)',
+    'export.markdown': 'ഡോക്യുമെന്റ് (.md)',
+    'export.noFilters': 'ഫിൽട്ടറുകൾ: ഇല്ല',
+    'export.link': 'ഓൺലൈനിൽ കാണുക: {url}',
+    'export.timeZone': 'സമയങ്ങൾ ഇന്ത്യൻ സ്റ്റാൻഡേർഡ് സമയത്തിൽ (IST, UTC+05:30)',
+    'export.exportedOn': 'എക്സ്പോർട്ട് ചെയ്തത് {date} IST',
+    'export.column.title': 'പേര്',
+    'export.column.type': 'തരം',
+    'export.column.category': 'വിഭാഗം',
+    'export.column.venue': 'വേദി',
+    'export.column.start': 'ആരംഭം (IST)',
+    'export.column.end': 'അവസാനം (IST)',
+    'export.column.link': 'ലിങ്ക്',
+
+    'embed.showing': '{count} പരിപാടികളിൽ {shown} എണ്ണം കാണിക്കുന്നു',
+
+    'views.list': 'പട്ടിക',
+    'views.grid': 'ഗ്രിഡ്',
+    'views.calendar': 'കലണ്ടർ',
+    'views.agenda': 'അജണ്ട',
+    'views.timeline': 'ടൈംലൈൻ',
+    'views.stats': 'സ്ഥിതിവിവരം',
+
+    'sort.label': 'ക്രമീകരിക്കുക',
+    'sort.relevance': 'ഏറ്റവും യോജിച്ചത്',
+    'sort.dateAsc': 'തീയതി (ആദ്യത്തേത് ആദ്യം)',
+    'sort.dateDesc': 'തീയതി (അവസാനത്തേത് ആദ്യം)',
+    'sort.title': 'പേര് A–Z',
+    'sort.venue': 'വേദി',
+    'sort.duration': 'ദൈർഘ്യം (കുറഞ്ഞത് ആദ്യം)',
+    'sort.endingSoon': 'ഉടൻ അവസാനിക്കുന്നവ',
+
+    'group.label': 'ഗ്രൂപ്പ് ചെയ്യുക',
+    'group.none': 'ഒന്നുമില്ല',
+    'group.day': 'ദിവസം',
+    'group.venue': 'വേദി',
+    'group.category': 'വിഭാഗം',
+    'group.eventType': 'പരിപാടിയുടെ തരം',
+    'group.noCategory': 'വിഭാഗമില്ല',
+    'group.count': {
+        one: '{count} പരിപാടി',
+        other: '{count} പരിപാടികൾ'
+    },
+
+    'changes.heading': 'കഴിഞ്ഞ സന്ദർശനത്തിനു ശേഷമുള്ള മാറ്റങ്ങൾ',
+    'changes.since': '{date} മുതൽ',
+    'changes.new': 'പുതിയത്',
+    'changes.time': 'സമയം മാറി',
+    'changes.venue': 'വേദി മാറി',
+    'changes.updated': 'പുതുക്കി',
+    'changes.removed': 'നീക്കം ചെയ്തു',
+    'changes.count.new': { one: '{count} പുതിയത്', other: '{count} പുതിയവ' },
+    'changes.count.time': { one: '{count} സമയമാറ്റം', other: '{count} സമയമാറ്റങ്ങൾ' },
+    'changes.count.venue': { one: '{count} വേദിമാറ്റം', other: '{count} വേദിമാറ്റങ്ങൾ' },
+    'changes.count.updated': { one: '{count} പുതുക്കി', other: '{count} പുതുക്കി' },
+    'changes.count.removed': { one: '{count} നീക്കം ചെയ്തു', other: '{count} നീക്കം ചെയ്തു' },
+    'changes.was': 'മുമ്പ് {before}, ഇപ്പോൾ {after}',
+    'changes.removedDetail': 'മുമ്പ് {date}, {venue}',
+    'changes.markSeen': 'എല്ലാം കണ്ടതായി അടയാളപ്പെടുത്തുക',
+    'changes.autoRefresh': 'ഓരോ 15 മിനിറ്റിലും പുതുക്കലുകൾ പരിശോധിക്കുക',
+    'changes.refreshed': {
+        one: 'പരിപാടിപ്പട്ടിക പുതുക്കി: {count} മാറ്റം',
+        other: 'പരിപാടിപ്പട്ടിക പുതുക്കി: {count} മാറ്റങ്ങൾ'
+    },
+
+    'results.heading': 'പരിപാടികൾ',
+    'results.count': {
+        one: '{count} പരിപാടി കണ്ടെത്തി',
+        other: '{count} പരിപാടികൾ കണ്ടെത്തി'
+    },
+    'results.empty': 'നിങ്ങളുടെ ഫിൽട്ടറുകൾക്ക് യോജിച്ച പരിപാടികളൊന്നുമില്ല.',
+
+    'pagination.label': 'പേജുകൾ',
+    'pagination.perPage': 'ഓരോ പേജിലും',
+    'pagination.show': 'കാണിക്കുക',
+    'pagination.pages': 'പേജുകൾ',
+    'pagination.loadMore': 'കൂടുതൽ കാണിക്കുക',
+    'pagination.first': 'ആദ്യ പേജ്',
+    'pagination.previous': 'മുമ്പത്തേത്',
+    'pagination.next': 'അടുത്തത്',
+    'pagination.last': 'അവസാന പേജ്',
+    'pagination.page': 'പേജ് {page}',
+    'pagination.summary': '{total}-ൽ {start}–{end} കാണിക്കുന്നു',
+
+    'event.untitled': 'പേരില്ലാത്ത പരിപാടി',
+    'event.venueTba': 'വേദി പിന്നീട് അറിയിക്കും',
+    'event.dateTba': 'തീയതി പിന്നീട് അറിയിക്കും',
+    'event.defaultType': 'പരിപാടി',
+    'event.imageAlt': 'പരിപാടിയുടെ ചിത്രം',
+    'event.learnMore': 'കൂടുതൽ അറിയുക →',
+    'event.addToCalendar': 'കലണ്ടറിൽ ചേർക്കുക',
+    'event.addToItinerary': 'എന്റെ യാത്രാപദ്ധതിയിൽ ചേർക്കുക',
+    'event.removeFromItinerary': 'എന്റെ യാത്രാപദ്ധതിയിൽ നിന്ന് നീക്കുക',
+    'event.overlapsWith': '{events} എന്നതുമായി സമയം ഒന്നിക്കുന്നു',
+
+    'runStatus.opening': 'ആരംഭം',
+    'runStatus.ongoing': 'നടന്നുകൊണ്ടിരിക്കുന്നു',
+    'runStatus.closing': 'സമാപനം',
+
+    'agenda.multiDay': 'പ്രദർശനങ്ങളും ഒന്നിലധികം ദിവസത്തെ പരിപാടികളും',
+    'itinerary.empty': 'നിങ്ങളുടെ യാത്രാപദ്ധതിയിൽ ഇതുവരെ പരിപാടികളൊന്നുമില്ല. ചേർക്കാൻ പരിപാടിയിലെ നക്ഷത്രത്തിൽ തൊടുക.',
+
+    'reminders.heading': 'ഓർമ്മപ്പെടുത്തലുകൾ',
+    'reminders.label': '{title} എന്നതിനുള്ള ഓർമ്മപ്പെടുത്തൽ',
+    'reminders.remindMe': 'ഓർമ്മിപ്പിക്കുക',
+    'reminders.cancel': 'ഓർമ്മപ്പെടുത്തൽ വേണ്ട',
+    'reminders.before15': '15 മിനിറ്റ് മുമ്പ്',
+    'reminders.before60': '1 മണിക്കൂർ മുമ്പ്',
+    'reminders.set': '{time}-ന് ഓർമ്മിപ്പിക്കും. അതിനായി ഈ സൈറ്റ് ഒരു ടാബിൽ തുറന്നുവെക്കുക.',
+    'reminders.setScheduled': '{time}-ന് ഓർമ്മിപ്പിക്കും.',
+    'reminders.moved': '{title} ഇപ്പോൾ {time}-ന് ആരംഭിക്കുന്നു; നിങ്ങളുടെ ഓർമ്മപ്പെടുത്തലും മാറ്റി.',
+    'reminders.startsAt': '{time}-ന് ആരംഭിക്കുന്നു · {venue}',
+    'reminders.view': 'പരിപാടി കാണുക',
+    'reminders.empty': 'ഓർമ്മപ്പെടുത്തലുകളൊന്നുമില്ല. വരാനിരിക്കുന്ന ഒരു പരിപാടിയിൽ "ഓർമ്മിപ്പിക്കുക" തിരഞ്ഞെടുക്കുക.',
+    'reminders.noteNotifications': 'ഈ സൈറ്റ് ഒരു ടാബിൽ തുറന്നിരിക്കുമ്പോൾ മാത്രമേ ഓർമ്മപ്പെടുത്തലുകൾ അറിയിപ്പുകളായി ലഭിക്കൂ. ടാബ് അടച്ചാൽ അവ ലഭിക്കില്ല; ഫോൺ ടാബ് നിർത്തിവെച്ചാൽ വൈകുകയോ നഷ്ടപ്പെടുകയോ ചെയ്യാം.',
+    'reminders.noteToast': 'ഈ പേജ് തുറന്നിരിക്കുമ്പോൾ മാത്രമേ ഓർമ്മപ്പെടുത്തലുകൾ ഇവിടെ കാണിക്കൂ; ടാബ് അടച്ചാൽ അവ ലഭിക്കില്ല, ഫോൺ ടാബ് നിർത്തിവെച്ചാൽ വൈകുകയോ നഷ്ടപ്പെടുകയോ ചെയ്യാം. മറ്റ് ടാബുകളിലായിരിക്കുമ്പോഴും ലഭിക്കാൻ അറിയിപ്പുകൾ അനുവദിക്കുക.',
+    'reminders.noteScheduled': 'ഓർമ്മപ്പെടുത്തലുകൾ ബ്രൗസറിൽ അറിയിപ്പുകളായി ക്രമീകരിച്ചിരിക്കുന്നു, അതിനാൽ ഈ സൈറ്റ് അടച്ചിരിക്കുമ്പോഴും അവ ലഭിക്കും.',
+    'reminders.limit': 'ഈ സൈറ്റ് ഒരു ടാബിൽ തുറന്നിരിക്കുമ്പോൾ മാത്രമേ ഓർമ്മപ്പെടുത്തലുകൾ ലഭിക്കൂ',
+    'reminders.remove': 'റദ്ദാക്കുക',
+    'reminders.removeFor': '{title} എന്നതിനുള്ള ഓർമ്മപ്പെടുത്തൽ റദ്ദാക്കുക',
+
+    'toast.dismiss': 'അടയ്ക്കുക',
+
+    'detail.back': '← പരിപാടികളിലേക്ക് മടങ്ങുക',
+    'detail.notFound': 'ഈ പരിപാടി കണ്ടെത്താനായില്ല.',
+    'detail.when': 'എപ്പോൾ',
+    'detail.where': 'എവിടെ',
+    'detail.date': 'തീയതി',
+    'detail.starts': 'ആരംഭം',
+    'detail.ends': 'അവസാനം',
+    'detail.venue': 'വേദി',
+    'detail.address': 'വിലാസം',
+    'detail.yes': 'അതെ',
+    'detail.no': 'ഇല്ല',
+    'detail.website': 'ബിനാലെ വെബ്സൈറ്റിൽ കാണുക →',
+
+    'calendar.previousMonth': 'മുമ്പത്തെ മാസം',
+    'calendar.nextMonth': 'അടുത്ത മാസം',
+    'calendar.dayEvents': {
+        one: '{date}: {count} പരിപാടി',
+        other: '{date}: {count} പരിപാടികൾ'
+    },
+
+    'timeline.zoom': 'സൂം',
+    'timeline.day': 'ദിവസം',
+    'timeline.week': 'ആഴ്ച',
+    'timeline.season': 'സീസൺ',
+    'timeline.previousDay': 'മുമ്പത്തെ ദിവസം',
+    'timeline.nextDay': 'അടുത്ത ദിവസം',
+    'timeline.previousWeek': 'മുമ്പത്തെ ആഴ്ച',
+    'timeline.nextWeek': 'അടുത്ത ആഴ്ച',
+    'timeline.empty': 'ഈ കാലയളവിൽ പരിപാടികളൊന്നുമില്ല.',
+
+    'stats.events': 'പരിപാടികൾ',
+    'stats.ofTotal': 'പരിപാടിപ്പട്ടികയിലെ {total} എണ്ണത്തിൽ',
+    'stats.days': 'പരിപാടികളുള്ള ദിവസങ്ങൾ',
+    'stats.busiestDay': {
+        one: 'ഏറ്റവും തിരക്കുള്ള ദിവസം: {count} പരിപാടി',
+        other: 'ഏറ്റവും തിരക്കുള്ള ദിവസം: {count} പരിപാടികൾ'
+    },
+    'stats.venues': 'വേദികൾ',
+    'stats.evening': 'വൈകുന്നേര പരിപാടികൾ',
+    'stats.eveningDetail': 'വൈകുന്നേരം {evening}, പകൽ {daytime}',
+    'stats.perDay': 'ദിവസം തോറുമുള്ള പരിപാടികൾ',
+    'stats.dayBar': {
+        one: '{date}: {count} പരിപാടി',
+        other: '{date}: {count} പരിപാടികൾ'
+    },
+    'stats.by.venue': 'തിരക്കേറിയ വേദികൾ',
+    'stats.by.eventType': 'പരിപാടിയുടെ തരങ്ങൾ',
+    'stats.by.category': 'വിഭാഗങ്ങൾ',
+    'stats.by.timeOfDay': 'സമയം',
+    'stats.notSet': 'നൽകിയിട്ടില്ല',
+    'stats.more': {
+        one: '{events} പരിപാടികളുമായി {count} എണ്ണം കൂടി',
+        other: '{events} പരിപാടികളുമായി {count} എണ്ണം കൂടി'
+    }
+};
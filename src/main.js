@@ -1,50 +1,147 @@
 import './style.css';
-
-// API Configuration
-const API_BASE_URL = 'https://admin.kochimuzirisbiennale.org/api/events?getAll=true&limit=500&size=100&sort=-timeAndDate.startDate&depth=10';
-const CORS_PROXY = 'https://cors.utilitytool.app/';
-
-// Minimum date filter - only show events from this date onwards
-const MIN_DATE = new Date('2025-12-12T00:00:00.000Z');
-
-// Helper function to build proxied URL
-function getProxiedUrl(url) {
-    // Percent-encode the full URL and prefix with CORS proxy
-    return CORS_PROXY + encodeURIComponent(url);
-}
+import { loadSnapshot, saveSnapshot } from './snapshotStore.js';
+import { fetchEventsPayload, getSourceName } from './dataSource.js';
+import { createEmptyReport } from './normalizeEvents.js';
+import { getEventDocs, prepareEvents } from './eventData.js';
+import { createDiagnosticsPanel, isDebugMode } from './diagnosticsPanel.js';
+import { getChange, getChanges, getChangesSince, markChangesSeen, trackChanges } from './changeTracker.js';
+import { groupByDay } from './eventUtils.js';
+import { createGridCard, createListItem, getRunStatusBadgeHtml } from './eventCards.js';
+import { getDateFilterRange, matchesTimeFilters } from './eventFilters.js';
+import { readSetting, writeSetting } from './storage.js';
+import { createEventDetail, getEventRoute, parseEventRoute } from './eventDetail.js';
+import { buildFilterSearch, createEmptyFilters, filtersEqual, readFiltersFromUrl, writeFiltersToUrl } from './filterUrl.js';
+import { FACETS, getFacetCounts, getFacetValues, matchesFacets } from './facets.js';
+import { downloadEventCalendar, downloadEventsCalendar } from './icalendar.js';
+import { downloadEventsExport, EXPORT_FORMATS } from './eventExport.js';
+import { createPrintProgramme } from './printProgramme.js';
+import {
+    cancelReminder,
+    canNotify,
+    canScheduleNotifications,
+    canRemind,
+    getReminder,
+    getReminders,
+    getReminderTime,
+    REMINDER_OFFSETS,
+    requestNotificationPermission,
+    rescheduleReminders,
+    scheduleReminderNotifications,
+    scheduleReminders,
+    setReminder,
+    showReminderNotification
+} from './reminders.js';
+import { showToast } from './toast.js';
+import { findConflicts, getFavouriteEvents, isFavourite, toggleFavourite } from './itinerary.js';
+import { createMonthCalendar, getInitialMonth, groupEventsByDay } from './calendarView.js';
+import { createTimeline, getInitialAnchor, TIMELINE_ZOOMS } from './timelineView.js';
+import { createStatsView } from './statsView.js';
+import { createSearchIndex } from './searchIndex.js';
+import { GROUP_OPTIONS, groupEvents, SORT_OPTIONS, sortEvents } from './sorting.js';
+import { html } from './sanitize.js';
+import {
+    EVENT_TIME_ZONE,
+    formatDayKey,
+    formatInTimeZone,
+    getLocalTimeZone,
+    getTimeZoneLabel,
+    isUsingLocalTimeZone,
+    setUseLocalTimeZone
+} from './timeZone.js';
+import { getLanguage, LANGUAGES, setLanguage, t, translateDocument } from './i18n.js';
+import { getActivePreset, getPresetRange, TIME_PRESETS, TIMES_OF_DAY } from './timePresets.js';
 
 // State Management
 let allEvents = [];
+let sortedEvents = []; // allEvents in the chosen sort order
 let filteredEvents = [];
+let searchIndex = createSearchIndex([]);
+let searchMatches = new Map(); // event id -> matched search terms, for highlighting
+let facetOptionElements = {}; // facet key -> Map(value -> { input, count, label })
 let currentPage = 1;
 let totalPages = 1;
-let viewMode = 'list'; // 'list' or 'grid'
-let filters = {
-    search: '',
-    eventType: '',
-    venue: '',
-    category: '',
-    dateFrom: '',
-    dateTo: ''
-};
+let pageSize = readSetting('pageSize', 20);
+let paginationMode = readSetting('paginationMode', 'pages'); // 'pages' or 'scroll'
+let eventsLoaded = false;
+let currentEventId = null; // event shown in the detail view, null for the list
+let listScrollY = 0;
+let detailOpenedFromList = false;
+let showItinerary = false; // show only starred events, grouped by day
+const VIEW_MODES = ['list', 'grid', 'calendar', 'agenda', 'timeline', 'stats'];
+let viewMode = VIEW_MODES.includes(readSetting('viewMode')) ? readSetting('viewMode') : 'list';
+let calendarMonth = null; // month key ("2025-12") shown in the calendar view
+let calendarSelectedDay = null; // day key picked in the calendar view
+let timelineZoom = TIMELINE_ZOOMS.includes(readSetting('timelineZoom')) ? readSetting('timelineZoom') : 'week';
+let timelineAnchor = null; // day key of the first day in the timeline's day/week zoom
+let sortKey = SORT_OPTIONS.some(option => option.key === readSetting('sortKey')) ? readSetting('sortKey') : 'relevance';
+let groupKey = GROUP_OPTIONS.some(option => option.key === readSetting('groupKey')) ? readSetting('groupKey') : 'none';
+const collapsedGroups = new Set(); // "groupKey:section key" of collapsed list/grid sections
+let filters = readFiltersFromUrl();
+let lastFilterChange = null; // name of the last changed filter, for coalescing history entries
+let lastUpdatedAt = null; // when the displayed events were fetched
+let dataReport = createEmptyReport(); // what the normalizer dropped or repaired
+const AUTO_REFRESH_MINUTES = 15;
+let autoRefreshTimer = null;
 
 // DOM Elements
 const searchInput = document.getElementById('search');
-const eventTypeSelect = document.getElementById('eventType');
-const venueSelect = document.getElementById('venue');
-const categorySelect = document.getElementById('category');
+const facetOptionContainers = Object.fromEntries(
+    FACETS.map(facet => [facet.key, document.getElementById(`${facet.key}Options`)])
+);
+const activeFiltersDiv = document.getElementById('activeFilters');
 const dateFromInput = document.getElementById('dateFrom');
 const dateToInput = document.getElementById('dateTo');
+const timePresetsDiv = document.getElementById('timePresets');
+const timeOfDayDiv = document.getElementById('timeOfDayOptions');
+const timeZoneToggle = document.getElementById('timeZoneToggle');
+const useLocalTimeZoneInput = document.getElementById('useLocalTimeZone');
+const useLocalTimeZoneLabel = document.getElementById('useLocalTimeZoneLabel');
+const timeZoneNote = document.getElementById('timeZoneNote');
 const clearFiltersBtn = document.getElementById('clearFilters');
+const exportCalendarBtn = document.getElementById('exportCalendar');
+const printProgrammeBtn = document.getElementById('printProgramme');
+const printSheet = document.getElementById('printSheet');
+const exportMenu = document.getElementById('exportMenu');
+const exportFormats = document.getElementById('exportFormats');
 const eventsContainer = document.getElementById('eventsContainer');
+const resultsHeading = document.getElementById('resultsHeading');
+const resultsStatus = document.getElementById('resultsStatus');
 const loadingDiv = document.getElementById('loading');
 const errorDiv = document.getElementById('error');
 const errorMessage = document.getElementById('errorMessage');
 const emptyState = document.getElementById('emptyState');
 const paginationDiv = document.getElementById('pagination');
+const pageSummary = document.getElementById('pageSummary');
+const pageSizeSelect = document.getElementById('pageSize');
+const paginationModeSelect = document.getElementById('paginationMode');
+const pageNav = document.getElementById('pageNav');
+const pageNumbers = document.getElementById('pageNumbers');
+const firstPageBtn = document.getElementById('firstPage');
 const prevPageBtn = document.getElementById('prevPage');
 const nextPageBtn = document.getElementById('nextPage');
-const pageInfo = document.getElementById('pageInfo');
+const lastPageBtn = document.getElementById('lastPage');
+const loadMoreBtn = document.getElementById('loadMore');
+const lastUpdatedEl = document.getElementById('lastUpdated');
+const autoRefreshInput = document.getElementById('autoRefresh');
+const changesPanel = document.getElementById('changesPanel');
+const filtersPanel = document.getElementById('filtersPanel');
+const listView = document.getElementById('listView');
+const eventDetailDiv = document.getElementById('eventDetail');
+const showAllEventsBtn = document.getElementById('showAllEvents');
+const showItineraryBtn = document.getElementById('showItinerary');
+const itineraryCount = document.getElementById('itineraryCount');
+const itineraryContainer = document.getElementById('itineraryContainer');
+const showRemindersBtn = document.getElementById('showReminders');
+const remindersCount = document.getElementById('remindersCount');
+const remindersPanel = document.getElementById('remindersPanel');
+const remindersNote = document.getElementById('remindersNote');
+const remindersList = document.getElementById('remindersList');
+const viewSwitcher = document.getElementById('viewSwitcher');
+const sortControls = document.getElementById('sortControls');
+const sortSelect = document.getElementById('sortSelect');
+const groupSelect = document.getElementById('groupSelect');
+const diagnosticsDiv = document.getElementById('diagnostics');
+const languageSelect = document.getElementById('languageSelect');
 
 // Debounce function for search input
 function debounce(func, wait) {
@@ -59,228 +156,456 @@ function debounce(func, wait) {
     };
 }
 
-// Get sort date for an event
-function getEventSortDate(event) {
-    const timeAndDate = event.timeAndDate;
-    if (!timeAndDate) return null;
+// Normalize, sort and render a raw list of API docs
+function setEvents(docs) {
+    const { events, report } = prepareEvents(docs);
+    dataReport = report;
+    delete eventsContainer.dataset.prerendered;
+    renderDiagnostics();
     
-    // If singleDayEvent is true, use date key
-    if (timeAndDate.singleDayEvent === true) {
-        return timeAndDate.date ? new Date(timeAndDate.date) : null;
-    }
+    allEvents = events;
+    sortedEvents = sortEvents(allEvents, sortKey);
+    searchIndex = createSearchIndex(allEvents);
+    const changed = trackChanges(allEvents);
+    renderChangesPanel();
     
-    // If singleDayEvent is false, use startDate
-    if (timeAndDate.singleDayEvent === false) {
-        return timeAndDate.startDate ? new Date(timeAndDate.startDate) : null;
-    }
+    // Populate filter dropdowns
+    populateFilters(allEvents);
     
-    // Fallback: try date, then startDate
-    if (timeAndDate.date) {
-        return new Date(timeAndDate.date);
-    }
-    if (timeAndDate.startDate) {
-        return new Date(timeAndDate.startDate);
+    // Reminders follow their event to its new time
+    rescheduleReminders(allEvents).forEach(reminder => {
+        showToast(t('reminders.moved', { title: reminder.title || t('event.untitled'), time: formatReminderDate(new Date(reminder.start)) }));
+    });
+    updateReminders();
+    
+    // Apply filters and render, staying on the current page after a refresh
+    applyFilters(true);
+    updateItineraryCount();
+    
+    eventsLoaded = true;
+    if (currentEventId !== null) {
+        renderRoute();
     }
+    return changed;
+}
+
+// Show the data-quality panel when the page was opened with ?debug=1
+function renderDiagnostics() {
+    if (!isDebugMode()) return;
     
-    return null;
+    diagnosticsDiv.innerHTML = '';
+    diagnosticsDiv.appendChild(createDiagnosticsPanel(dataReport));
+    diagnosticsDiv.classList.remove('hidden');
 }
 
-// Check if event has a valid date
-function hasValidDate(event) {
-    const timeAndDate = event.timeAndDate;
-    if (!timeAndDate) return false;
+// Events embedded in the page by the build-time prerender
+// (scripts/prerender.js), as a snapshot, or null
+function readPrerenderedSnapshot() {
+    const script = document.getElementById('prerenderedEvents');
+    if (!script) return null;
     
-    // Must have date key if singleDayEvent is true
-    if (timeAndDate.singleDayEvent === true) {
-        return !!timeAndDate.date;
+    try {
+        const data = JSON.parse(script.textContent);
+        if (data.source !== getSourceName()) return null;
+        return { docs: getEventDocs(data), savedAt: new Date(data.savedAt) };
+    } catch (error) {
+        console.warn('Could not read prerendered events:', error);
+        return null;
     }
-    
-    // Must have startDate if singleDayEvent is false
-    if (timeAndDate.singleDayEvent === false) {
-        return !!timeAndDate.startDate;
+}
+
+// Show the newest of the cached events in IndexedDB and those prerendered
+// into the page, if there are any
+async function showCachedEvents() {
+    let snapshot = readPrerenderedSnapshot();
+    try {
+        const cached = await loadSnapshot(getSourceName());
+        if (cached && (!snapshot || cached.savedAt > snapshot.savedAt)) {
+            snapshot = cached;
+        }
+    } catch (error) {
+        console.warn('Could not read cached events:', error);
     }
+    if (!snapshot) return null;
     
-    // Fallback: check for date key
-    return !!timeAndDate.date;
+    setEvents(snapshot.docs);
+    updateLastUpdated(snapshot.savedAt);
+    return snapshot;
 }
 
-// Sort events by date
-function sortEventsByDate(events) {
-    return events.sort((a, b) => {
-        const dateA = getEventSortDate(a);
-        const dateB = getEventSortDate(b);
+// Fetch events from API
+async function fetchEvents() {
+    hideError();
+    
+    // Render the last good snapshot straight away and refresh in the background
+    const snapshot = await showCachedEvents();
+    if (!snapshot) {
+        showLoading();
+    }
+    
+    try {
+        // Since getAll=true is used, we fetch all events at once
+        const data = await fetchEventsPayload();
         
-        // Events without dates go to the end
-        if (!dateA && !dateB) return 0;
-        if (!dateA) return 1;
-        if (!dateB) return -1;
+        setFetchedEvents(data);
+    } catch (error) {
+        console.error('Error fetching events:', error);
+        if (snapshot) {
+            // Keep the cached programme on screen
+            showError(t('errors.refresh', { message: error.message }));
+        } else {
+            showError(t('errors.load', { message: error.message }));
+            allEvents = [];
+            filteredEvents = [];
+            renderEvents([]);
+        }
+    } finally {
+        hideLoading();
         
-        // Sort by date (ascending - earliest first)
-        return dateA - dateB;
+        // A deep-linked event may be missing if loading failed
+        if (!eventsLoaded) {
+            eventsLoaded = true;
+            renderRoute();
+        }
+    }
+}
+
+// Show freshly fetched events and cache them. Returns true when the
+// programme changed since it was last shown.
+function setFetchedEvents(data) {
+    const docs = getEventDocs(data);
+    const changed = setEvents(docs);
+    updateLastUpdated(new Date());
+    saveSnapshot(getSourceName(), docs).catch(error => {
+        console.warn('Could not cache events:', error);
     });
+    return changed;
 }
 
-// Fetch events from API
-async function fetchEvents(page = 1) {
+// Background refresh while the page stays open (when turned on)
+async function refreshEvents() {
+    if (!navigator.onLine) return;
+    
     try {
-        showLoading();
+        const changed = setFetchedEvents(await fetchEventsPayload());
         hideError();
-        
-        // Since getAll=true is used, we fetch all events at once
-        const proxiedUrl = getProxiedUrl(API_BASE_URL);
-        const response = await fetch(proxiedUrl);
-        
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
+        const count = getChanges().length;
+        if (changed && count > 0) {
+            showToast(t('changes.refreshed', { count }));
         }
+    } catch (error) {
+        console.warn('Background refresh failed:', error);
+    }
+}
+
+// Turn the periodic background refresh on or off
+function setAutoRefresh(enabled) {
+    clearInterval(autoRefreshTimer);
+    autoRefreshTimer = enabled ? setInterval(refreshEvents, AUTO_REFRESH_MINUTES * 60 * 1000) : null;
+    autoRefreshInput.checked = enabled;
+    writeSetting('autoRefresh', enabled);
+}
+
+// Show when the displayed events were last fetched
+function updateLastUpdated(date) {
+    lastUpdatedAt = date;
+    lastUpdatedEl.textContent = t('app.lastUpdated', {
+        date: formatInTimeZone(date, {
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        })
+    });
+    lastUpdatedEl.classList.remove('hidden');
+}
+
+// Populate the facet checkbox lists with unique values
+function populateFilters(events) {
+    const values = getFacetValues(events);
+    facetOptionElements = {};
+    
+    FACETS.forEach(facet => {
+        const container = facetOptionContainers[facet.key];
+        container.innerHTML = '';
+        facetOptionElements[facet.key] = new Map();
         
-        const data = await response.json();
+        // Keep selections restored from the URL even if no event has them,
+        // so they can still be unticked
+        const options = Array.from(new Set([...values[facet.key], ...filters[facet.key]])).sort();
         
-        if (data.docs && Array.isArray(data.docs)) {
-            // Filter out events without valid dates
-            const eventsWithDates = data.docs.filter(hasValidDate);
-            
-            // Filter out events before December 12, 2025
-            const eventsAfterMinDate = eventsWithDates.filter(event => {
-                const eventDate = getEventSortDate(event);
-                return eventDate && eventDate >= MIN_DATE;
-            });
+        options.forEach(value => {
+            const label = document.createElement('label');
+            label.className = 'flex items-center gap-2 text-sm text-gray-700 cursor-pointer touch-manipulation';
             
-            // Sort events by date
-            allEvents = sortEventsByDate(eventsAfterMinDate);
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.value = value;
+            input.className = 'h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500';
+            input.checked = filters[facet.key].includes(value);
+            input.addEventListener('change', () => toggleFacetValue(facet.key, value, input.checked));
             
-            currentPage = data.page || page;
-            totalPages = data.totalPages || 1;
+            const text = document.createElement('span');
+            text.className = 'flex-1 truncate';
+            text.textContent = value;
             
-            // Populate filter dropdowns
-            populateFilters(allEvents);
+            const count = document.createElement('span');
+            count.className = 'text-xs text-gray-500 tabular-nums';
             
-            // Apply filters and render
-            applyFilters();
-        } else {
-            throw new Error('Invalid data format received from API');
-        }
-    } catch (error) {
-        console.error('Error fetching events:', error);
-        showError(`Failed to load events: ${error.message}`);
-        allEvents = [];
-        filteredEvents = [];
-        renderEvents([]);
-    } finally {
-        hideLoading();
-    }
+            label.append(input, text, count);
+            container.appendChild(label);
+            facetOptionElements[facet.key].set(value, { input, count, label });
+        });
+    });
 }
 
-// Populate filter dropdowns with unique values
-function populateFilters(events) {
-    // Event Types
-    const eventTypes = new Set();
-    events.forEach(event => {
-        if (event.eventType && event.eventType.title) {
-            eventTypes.add(event.eventType.title);
-        }
-    });
-    
-    // Clear and populate event type dropdown
-    eventTypeSelect.innerHTML = '<option value="">All Types</option>';
-    Array.from(eventTypes).sort().forEach(type => {
-        const option = document.createElement('option');
-        option.value = type;
-        option.textContent = type;
-        eventTypeSelect.appendChild(option);
+// Show how many events each facet option would give; options that would
+// give none are disabled unless already selected
+function updateFacetCounts(counts) {
+    FACETS.forEach(facet => {
+        facetOptionElements[facet.key]?.forEach(({ input, count, label }, value) => {
+            const total = counts[facet.key].get(value) || 0;
+            count.textContent = total;
+            input.checked = filters[facet.key].includes(value);
+            input.disabled = total === 0 && !input.checked;
+            label.classList.toggle('opacity-50', input.disabled);
+            label.classList.toggle('cursor-pointer', !input.disabled);
+        });
     });
+}
 
-    // Venues
-    const venues = new Set();
-    events.forEach(event => {
-        if (event.entryDetails && event.entryDetails.venue && event.entryDetails.venue.place) {
-            venues.add(event.entryDetails.venue.place);
-        }
-    });
+// A { label, remove } chip for each active filter
+function getActiveFilterChips() {
+    const chips = [];
     
-    // Clear and populate venue dropdown
-    venueSelect.innerHTML = '<option value="">All Venues</option>';
-    Array.from(venues).sort().forEach(venue => {
-        const option = document.createElement('option');
-        option.value = venue;
-        option.textContent = venue;
-        venueSelect.appendChild(option);
+    if (filters.search) {
+        chips.push({ label: t('chips.search', { value: filters.search }), remove: () => setFilter('search', '') });
+    }
+    FACETS.forEach(facet => {
+        filters[facet.key].forEach(value => {
+            chips.push({ label: t('chips.facet', { facet: t(facet.labelKey), value }), remove: () => toggleFacetValue(facet.key, value, false) });
+        });
     });
-
-    // Categories
-    const categories = new Set();
-    events.forEach(event => {
-        if (event.categories && event.categories.title) {
-            categories.add(event.categories.title);
+    if (filters.dateFrom) {
+        chips.push({ label: t('chips.from', { value: filters.dateFrom }), remove: () => setFilter('dateFrom', '') });
+    }
+    if (filters.dateTo) {
+        chips.push({ label: t('chips.to', { value: filters.dateTo }), remove: () => setFilter('dateTo', '') });
+    }
+    if (filters.now) {
+        chips.push({ label: t('presets.now'), remove: () => setFilter('now', '') });
+    }
+    TIMES_OF_DAY.forEach(time => {
+        if (filters.timeOfDay.includes(time.key)) {
+            chips.push({ label: t(time.labelKey), remove: () => toggleTimeOfDay(time.key) });
         }
     });
+    return chips;
+}
+
+// Removable chips for each active filter
+function renderActiveFilters() {
+    const chips = getActiveFilterChips();
     
-    // Clear and populate category dropdown
-    categorySelect.innerHTML = '<option value="">All Categories</option>';
-    Array.from(categories).sort().forEach(category => {
-        const option = document.createElement('option');
-        option.value = category;
-        option.textContent = category;
-        categorySelect.appendChild(option);
+    activeFiltersDiv.innerHTML = '';
+    activeFiltersDiv.classList.toggle('hidden', chips.length === 0 || showItinerary);
+    
+    chips.forEach((chip, index) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'inline-flex items-center gap-1 px-3 py-1 text-xs sm:text-sm bg-blue-50 text-blue-800 border border-blue-200 rounded-full hover:bg-blue-100 active:bg-blue-200 transition-colors touch-manipulation';
+        button.setAttribute('aria-label', t('chips.remove', { label: chip.label }));
+        button.textContent = chip.label;
+        
+        const icon = document.createElement('span');
+        icon.setAttribute('aria-hidden', 'true');
+        icon.textContent = '×';
+        button.appendChild(icon);
+        
+        button.addEventListener('click', () => {
+            chip.remove();
+            syncFilterControls();
+            
+            // The chip is gone, so keep focus on the one that took its place
+            const remaining = activeFiltersDiv.querySelectorAll('button');
+            (remaining[Math.min(index, remaining.length - 1)] || resultsHeading).focus();
+        });
+        activeFiltersDiv.appendChild(button);
     });
+    
+    if (chips.length > 1) {
+        const clearAll = document.createElement('button');
+        clearAll.type = 'button';
+        clearAll.className = 'text-xs sm:text-sm text-gray-600 hover:text-gray-900 underline touch-manipulation';
+        clearAll.textContent = t('chips.clearAll');
+        clearAll.addEventListener('click', () => {
+            clearFilters();
+            resultsHeading.focus();
+        });
+        activeFiltersDiv.appendChild(clearAll);
+    }
 }
 
-// Apply filters to events
-function applyFilters() {
-    filteredEvents = allEvents.filter(event => {
+// Apply filters to events. Any filter change goes back to the first page.
+function applyFilters(keepPage = false) {
+    if (!keepPage) {
+        currentPage = 1;
+    }
+    
+    const dateRange = getDateFilterRange(filters);
+    const now = new Date();
+    
+    // Ranked search results, or null when there is nothing to search for
+    const searchResults = filters.search ? searchIndex.search(filters.search) : null;
+    const searchScores = new Map();
+    searchMatches = new Map();
+    if (searchResults) {
+        searchResults.forEach(result => {
+            searchScores.set(result.event, result.score);
+            searchMatches.set(String(result.event.id), result.terms);
+        });
+    }
+    
+    // Filtering keeps the sort order, so there is no need to sort again
+    filteredEvents = sortedEvents.filter(event => {
         // Search filter
-        if (filters.search) {
-            const searchTerm = filters.search.toLowerCase();
-            const titleMatch = event.title?.toLowerCase().includes(searchTerm);
-            const descMatch = event.shortDescription?.toLowerCase().includes(searchTerm);
-            if (!titleMatch && !descMatch) return false;
-        }
-
-        // Event Type filter
-        if (filters.eventType && event.eventType?.title !== filters.eventType) {
+        if (searchResults && !searchScores.has(event)) {
             return false;
         }
 
-        // Venue filter
-        if (filters.venue && event.entryDetails?.venue?.place !== filters.venue) {
-            return false;
-        }
+        return matchesTimeFilters(event, filters, { dateRange, now });
+    });
 
-        // Category filter
-        if (filters.category && event.categories?.title !== filters.category) {
-            return false;
-        }
+    // Facet counts are based on the search and date results, before the
+    // facets themselves narrow them down
+    updateFacetCounts(getFacetCounts(filteredEvents, filters));
+    renderActiveFilters();
+    updateTimeControls();
 
-        // Date range filter
-        if (filters.dateFrom || filters.dateTo) {
-            const eventSortDate = getEventSortDate(event);
-            if (!eventSortDate) return false;
+    // Event type, venue and category filters
+    filteredEvents = filteredEvents.filter(event => matchesFacets(event, filters));
 
-            if (filters.dateFrom) {
-                const fromDate = new Date(filters.dateFrom);
-                fromDate.setHours(0, 0, 0, 0);
-                if (eventSortDate < fromDate) return false;
-            }
+    // "Best match" ranks search results by relevance. The sort is stable,
+    // so equally relevant events stay in date order.
+    if (searchResults && sortKey === 'relevance') {
+        filteredEvents.sort((a, b) => searchScores.get(b) - searchScores.get(a));
+    }
 
-            if (filters.dateTo) {
-                const toDate = new Date(filters.dateTo);
-                toDate.setHours(23, 59, 59, 999);
-                if (eventSortDate > toDate) return false;
-            }
-        }
+    renderEvents(filteredEvents);
+    announceResults();
+}
 
-        return true;
-    });
+// Tell screen reader users how many events match the filters
+function announceResults() {
+    resultsStatus.textContent = showItinerary ? '' : t('results.count', { count: filteredEvents.length });
+}
 
-    // Sort filtered events by date
-    filteredEvents = sortEventsByDate(filteredEvents);
+const CHANGE_BADGE_STYLES = {
+    new: 'bg-green-100 text-green-800',
+    time: 'bg-amber-100 text-amber-900',
+    venue: 'bg-amber-100 text-amber-900',
+    updated: 'bg-gray-100 text-gray-700',
+    removed: 'bg-red-100 text-red-800'
+};
 
-    renderEvents(filteredEvents);
+// Badges for what changed in an event since the last visit
+function getChangeBadgesHtml(change) {
+    if (!change) return '';
+    return change.kinds.map(kind => html`<span class="px-2 py-1 text-xs font-medium rounded ${CHANGE_BADGE_STYLES[kind]}">${t(`changes.${kind}`)}</span>`);
+}
+
+// Before/after details for a change, e.g. the old and new start times
+function describeChange(change) {
+    const formatStart = value => (value ? formatInTimeZone(new Date(value), {
+        weekday: 'short',
+        month: 'short',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit'
+    }) : t('event.dateTba'));
+    const before = change.previous;
+    
+    if (change.kinds.includes('removed')) {
+        return t('changes.removedDetail', { date: formatStart(before.start), venue: before.venue || t('event.venueTba') });
+    }
+    return change.kinds.map(kind => {
+        if (kind === 'time') {
+            return t('changes.was', { before: formatStart(before.start), after: formatStart(change.event.start) });
+        }
+        if (kind === 'venue') {
+            return t('changes.was', { before: before.venue || t('event.venueTba'), after: change.event.venue || t('event.venueTba') });
+        }
+        return '';
+    }).filter(Boolean).join(' · ');
+}
+
+// "What's changed since your last visit" summary, hidden when nothing changed
+function renderChangesPanel() {
+    const changes = getChanges();
+    changesPanel.classList.toggle('hidden', changes.length === 0);
+    changesPanel.innerHTML = '';
+    if (changes.length === 0) return;
+    
+    const counts = {};
+    changes.forEach(change => change.kinds.forEach(kind => {
+        counts[kind] = (counts[kind] || 0) + 1;
+    }));
+    const summary = Object.entries(counts).map(([kind, count]) => t(`changes.count.${kind}`, { count })).join(' · ');
+    const since = getChangesSince();
+    
+    changesPanel.innerHTML = html`
+        <details class="group">
+            <summary class="flex items-center gap-2 cursor-pointer list-none [&::-webkit-details-marker]:hidden">
+                <svg class="w-4 h-4 text-gray-500 flex-shrink-0 transition-transform group-open:rotate-90" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 5l7 7-7 7"></path>
+                </svg>
+                <span>
+                    <span class="block text-sm sm:text-base font-semibold text-gray-900">${t('changes.heading')}</span>
+                    <span class="block text-xs sm:text-sm text-gray-600">${summary}${since ? ` · ${t('changes.since', { date: formatInTimeZone(since, { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' }) })}` : ''}</span>
+                </span>
+            </summary>
+            <ul role="list" class="mt-3 divide-y divide-blue-100"></ul>
+        </details>
+        <button type="button" data-action="mark-seen" class="mt-2 text-xs sm:text-sm text-blue-700 hover:text-blue-900 underline touch-manipulation">${t('changes.markSeen')}</button>
+    `;
+    
+    const list = changesPanel.querySelector('ul');
+    changes.forEach(change => {
+        const title = change.event ? change.event.title : change.previous.title;
+        const item = document.createElement('li');
+        item.className = 'py-2 flex flex-col sm:flex-row sm:items-center gap-1 sm:gap-3 text-sm';
+        item.innerHTML = html`
+            <span class="flex gap-1 flex-shrink-0">${getChangeBadgesHtml(change)}</span>
+            ${change.event
+                ? html`<a href="${getEventRoute(change.event)}" class="font-medium text-gray-900 hover:text-blue-700">${title || t('event.untitled')}</a>`
+                : html`<span class="font-medium text-gray-500 line-through">${title || t('event.untitled')}</span>`}
+            <span class="text-xs text-gray-600">${describeChange(change)}</span>
+        `;
+        list.appendChild(item);
+    });
+    
+    changesPanel.querySelector('[data-action="mark-seen"]').addEventListener('click', () => {
+        markChangesSeen();
+        renderChangesPanel();
+        renderEvents(filteredEvents);
+        resultsHeading.focus();
+    });
 }
 
 // Render events to the DOM
 function renderEvents(events) {
+    // The prerendered list stays until the first events are set
+    if ('prerendered' in eventsContainer.dataset) return;
+    
     eventsContainer.innerHTML = '';
+    
+    if (showItinerary) {
+        emptyState.classList.add('hidden');
+        paginationDiv.classList.add('hidden');
+        renderItinerary();
+        return;
+    }
+    itineraryContainer.classList.add('hidden');
 
     if (events.length === 0) {
         emptyState.classList.remove('hidden');
@@ -289,274 +614,639 @@ function renderEvents(events) {
     }
 
     emptyState.classList.add('hidden');
+
+    // Date-oriented views and the statistics cover every event, without pages
+    if (viewMode === 'calendar' || viewMode === 'agenda' || viewMode === 'timeline' || viewMode === 'stats') {
+        paginationDiv.classList.add('hidden');
+        eventsContainer.className = 'mb-6 sm:mb-8';
+        if (viewMode === 'calendar') {
+            renderCalendar(events);
+        } else if (viewMode === 'agenda') {
+            renderAgenda(events);
+        } else if (viewMode === 'timeline') {
+            renderTimeline(events);
+        } else {
+            renderStats(events);
+        }
+        return;
+    }
+
     paginationDiv.classList.remove('hidden');
 
-    // Update container classes based on view mode
-    if (viewMode === 'list') {
-        eventsContainer.className = 'flex flex-col gap-3 sm:gap-4 mb-6 sm:mb-8';
+    eventsContainer.className = 'mb-6 sm:mb-8';
+
+    // Only render the events for the current page (or all loaded pages)
+    totalPages = Math.max(1, Math.ceil(events.length / pageSize));
+    currentPage = Math.min(currentPage, totalPages);
+    const start = paginationMode === 'scroll' ? 0 : (currentPage - 1) * pageSize;
+    const end = Math.min(currentPage * pageSize, events.length);
+
+    const pageEvents = events.slice(start, end);
+    const createItem = viewMode === 'list' ? createEventListItem : createEventCard;
+    const listClassName = viewMode === 'list'
+        ? 'flex flex-col gap-3 sm:gap-4'
+        : 'grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-3 sm:gap-4 lg:gap-6';
+    
+    // Sections are built from the current page; their counts cover all results
+    const groups = groupEvents(pageEvents, groupKey, sortKey);
+    if (groups) {
+        const totals = new Map(groupEvents(events, groupKey, sortKey).map(group => [group.key, group.events.length]));
+        groups.forEach(group => {
+            eventsContainer.appendChild(createEventGroup(group, totals.get(group.key), createItem, listClassName));
+        });
     } else {
-        eventsContainer.className = 'grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-3 sm:gap-4 lg:gap-6 mb-6 sm:mb-8';
+        eventsContainer.appendChild(createEventList(pageEvents, createItem, listClassName));
     }
 
-    events.forEach(event => {
-        const eventElement = viewMode === 'list' ? createEventListItem(event) : createEventCard(event);
-        eventsContainer.appendChild(eventElement);
-    });
-
-    updatePagination();
+    updatePagination(start, end, events.length);
 }
 
-// Get display date for an event
-function getEventDisplayDate(event) {
-    const timeAndDate = event.timeAndDate;
-    if (!timeAndDate) return null;
-    
-    // If singleDayEvent is true, use date key
-    if (timeAndDate.singleDayEvent === true && timeAndDate.date) {
-        return timeAndDate.date;
+// Render the month calendar, with the selected day's events below it
+function renderCalendar(events) {
+    if (!calendarMonth) {
+        calendarMonth = getInitialMonth(events);
     }
     
-    // If singleDayEvent is false, use startDate and endDate
-    if (timeAndDate.singleDayEvent === false) {
-        if (timeAndDate.startDate && timeAndDate.endDate) {
-            return {
-                startDate: timeAndDate.startDate,
-                endDate: timeAndDate.endDate
-            };
-        }
-        if (timeAndDate.startDate) {
-            return timeAndDate.startDate;
+    eventsContainer.appendChild(createMonthCalendar({
+        events,
+        month: calendarMonth,
+        selectedDay: calendarSelectedDay,
+        onSelectDay: (key) => {
+            calendarSelectedDay = key;
+            renderEvents(filteredEvents);
+            document.getElementById('calendarDayEvents')?.scrollIntoView({ block: 'start' });
+        },
+        onChangeMonth: (month) => {
+            calendarMonth = month;
+            renderEvents(filteredEvents);
         }
-    }
+    }));
     
-    // Fallback: try date, then startDate
-    if (timeAndDate.date) {
-        return timeAndDate.date;
-    }
-    if (timeAndDate.startDate) {
-        return timeAndDate.startDate;
-    }
+    const dayEvents = calendarSelectedDay ? groupEventsByDay(events).get(calendarSelectedDay) : null;
+    if (!dayEvents) return;
+    
+    const section = document.createElement('section');
+    section.id = 'calendarDayEvents';
+    section.className = 'mt-4 sm:mt-6';
+    // Multi-day events are listed on every day they run, so the heading is
+    // the selected day rather than the first event's start
+    section.appendChild(createHeading(formatDayKey(calendarSelectedDay, {
+        weekday: 'long',
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+    }), 'mb-3'));
     
-    return null;
+    section.appendChild(createEventList(dayEvents, createEventListItem, 'flex flex-col gap-3 sm:gap-4'));
+    
+    eventsContainer.appendChild(section);
 }
 
-// Format date for display (compact on mobile)
-function formatDate(event, isMobile = false) {
-    const dateValue = getEventDisplayDate(event);
-    if (!dateValue) return 'Date TBA';
-    
-    // Handle date range (when singleDayEvent is false)
-    if (typeof dateValue === 'object' && dateValue.startDate && dateValue.endDate) {
-        const startDate = new Date(dateValue.startDate);
-        const endDate = new Date(dateValue.endDate);
+// Render a day-by-day agenda with sticky date headers
+function renderAgenda(events) {
+    groupByDay(events).forEach(group => {
+        const section = document.createElement('section');
+        section.className = 'mb-6 sm:mb-8';
         
-        if (isMobile) {
-            // Compact format: "Dec 15 - 20, 2025"
-            const startStr = startDate.toLocaleDateString('en-US', {
-                month: 'short',
-                day: 'numeric'
-            });
-            const endStr = endDate.toLocaleDateString('en-US', {
-                month: startDate.getMonth() === endDate.getMonth() ? undefined : 'short',
-                day: 'numeric',
-                year: 'numeric'
-            });
-            return `${startStr} - ${endStr}`;
-        } else {
-            // Full format: "Dec 15, 2025, 2:30 PM - Dec 20, 2025, 5:30 PM"
-            const startStr = startDate.toLocaleDateString('en-US', {
-                year: 'numeric',
-                month: 'short',
-                day: 'numeric',
-                hour: '2-digit',
-                minute: '2-digit'
-            });
-            const endStr = endDate.toLocaleDateString('en-US', {
-                year: 'numeric',
-                month: 'short',
-                day: 'numeric',
-                hour: '2-digit',
-                minute: '2-digit'
-            });
-            return `${startStr} - ${endStr}`;
+        const heading = group.date
+            ? createDayHeading(group.events[0])
+            : createHeading(t('agenda.multiDay'));
+        heading.className += ' agenda-day-header bg-gray-50 py-2 mb-2';
+        section.appendChild(heading);
+        
+        section.appendChild(createEventList(group.events, createEventListItem, 'flex flex-col gap-3 sm:gap-4'));
+        
+        eventsContainer.appendChild(section);
+    });
+}
+
+// Render the per-venue timeline
+function renderTimeline(events) {
+    if (!timelineAnchor) {
+        timelineAnchor = getInitialAnchor(events);
+    }
+    
+    eventsContainer.appendChild(createTimeline({
+        events,
+        zoom: timelineZoom,
+        anchor: timelineAnchor,
+        onChangeZoom: (zoom) => {
+            timelineZoom = zoom;
+            writeSetting('timelineZoom', zoom);
+            renderEvents(filteredEvents);
+        },
+        onChangeAnchor: (anchor) => {
+            timelineAnchor = anchor;
+            renderEvents(filteredEvents);
         }
+    }));
+}
+
+// Render the statistics for the filtered events
+function renderStats(events) {
+    eventsContainer.appendChild(createStatsView({
+        events,
+        totalCount: allEvents.length,
+        filters,
+        onSelect: selectStat
+    }));
+}
+
+// Apply a chart bar's value as a filter, or clear it when it is already
+// applied, then move focus back to the same bar
+function selectStat({ kind, value, id }) {
+    if (kind === 'day') {
+        const active = filters.dateFrom === value && filters.dateTo === value;
+        filters.dateFrom = active ? '' : value;
+        filters.dateTo = active ? '' : value;
+        
+        syncFilterControls();
+        writeFiltersToUrl(filters);
+        lastFilterChange = 'dateFrom';
+        applyFilters();
+    } else if (kind === 'timeOfDay') {
+        toggleTimeOfDay(value);
+    } else {
+        toggleFacetValue(kind, value, !filters[kind].includes(value));
     }
     
-    // Handle single date
-    const date = new Date(dateValue);
-    if (isMobile) {
-        // Compact format for mobile: "Dec 15, 2025"
-        return date.toLocaleDateString('en-US', {
-            month: 'short',
-            day: 'numeric',
-            year: 'numeric'
-        });
+    const target = Array.from(eventsContainer.querySelectorAll('[data-stat]')).find(element => element.dataset.stat === id);
+    if (target) {
+        target.focus();
     } else {
-        // Full format for desktop
-        return date.toLocaleDateString('en-US', {
-            year: 'numeric',
-            month: 'short',
-            day: 'numeric',
-            hour: '2-digit',
-            minute: '2-digit'
-        });
+        resultsHeading.focus();
     }
 }
 
-// Create event list item element (list view)
-function createEventListItem(event) {
-    const item = document.createElement('div');
-    item.className = 'bg-white rounded-lg shadow-sm overflow-hidden hover:shadow-md active:shadow-lg transition-shadow touch-manipulation border border-gray-200';
-
-    // Thumbnail
-    const thumbnailUrl = event.thumbnail?.url 
-        ? `https://admin.kochimuzirisbiennale.org${event.thumbnail.url}`
-        : 'https://via.placeholder.com/400x300?text=No+Image';
-
-    // Format date - detect mobile
-    const isMobile = window.innerWidth < 640;
-    const eventDate = formatDate(event, isMobile);
-
-    // Venue
-    const venue = event.entryDetails?.venue?.place || 'Venue TBA';
-
-    // Event Type
-    const eventType = event.eventType?.title || 'Event';
-
-    item.innerHTML = `
-        <div class="flex flex-col sm:flex-row">
-            <div class="w-full sm:w-48 lg:w-64 flex-shrink-0 aspect-video sm:aspect-auto sm:h-auto">
-                <img 
-                    src="${thumbnailUrl}" 
-                    alt="${event.title || 'Event image'}"
-                    class="w-full h-full object-cover"
-                    loading="lazy"
-                    onerror="this.src='https://via.placeholder.com/400x300?text=No+Image'"
-                >
-            </div>
-            <div class="flex-1 p-3 sm:p-4 flex flex-col">
-                <div class="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2 mb-2">
-                    <div class="flex items-center gap-2 flex-wrap">
-                        <span class="px-2 py-1 text-xs font-medium bg-blue-100 text-blue-800 rounded">
-                            ${eventType}
-                        </span>
-                        <span class="text-xs text-gray-500">${eventDate}</span>
-                    </div>
-                </div>
-                <h3 class="text-base sm:text-lg font-semibold text-gray-900 mb-2 line-clamp-2 leading-tight">
-                    ${event.title || 'Untitled Event'}
-                </h3>
-                ${event.shortDescription ? `
-                    <p class="text-sm text-gray-600 mb-3 line-clamp-2 sm:line-clamp-3 leading-snug flex-1">
-                        ${event.shortDescription}
-                    </p>
-                ` : ''}
-                <div class="flex items-center text-sm text-gray-500 mb-2">
-                    <svg class="w-4 h-4 mr-1 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M17.657 16.657L13.414 20.9a1.998 1.998 0 01-2.827 0l-4.244-4.243a8 8 0 1111.314 0z"></path>
-                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15 11a3 3 0 11-6 0 3 3 0 016 0z"></path>
-                    </svg>
-                    <span class="truncate">${venue}</span>
-                </div>
-                ${event.redirectURL?.redirectTo ? `
-                    <a 
-                        href="${event.redirectURL.redirectTo}" 
-                        target="_blank" 
-                        rel="noopener noreferrer"
-                        class="mt-auto inline-block text-sm text-blue-600 hover:text-blue-800 active:text-blue-900 font-medium touch-manipulation"
-                    >
-                        Learn More →
-                    </a>
-                ` : ''}
-            </div>
-        </div>
+// Section heading with the given text
+function createHeading(text, extraClasses = '') {
+    const heading = document.createElement('h2');
+    heading.className = `text-base sm:text-lg font-semibold text-gray-900 ${extraClasses}`.trim();
+    heading.textContent = text;
+    return heading;
+}
+
+// Section heading for the day an event starts on
+function createDayHeading(event, extraClasses = '') {
+    return createHeading(formatInTimeZone(event.start, {
+        weekday: 'long',
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+    }), extraClasses);
+}
+
+// Events as a list, so screen readers announce how many there are and can
+// jump between them. role="list" keeps the semantics when list styles are
+// removed.
+function createEventList(events, createItem, className) {
+    const list = document.createElement('ul');
+    list.setAttribute('role', 'list');
+    list.className = className;
+    events.forEach(event => {
+        const item = document.createElement('li');
+        item.appendChild(createItem(event));
+        list.appendChild(item);
+    });
+    return list;
+}
+
+// Collapsible section of grouped events with a count in its header
+function createEventGroup(group, total, createItem, listClassName) {
+    const id = `${groupKey}:${group.key}`;
+    const section = document.createElement('details');
+    section.className = 'group mb-4 sm:mb-6';
+    section.open = !collapsedGroups.has(id);
+    section.innerHTML = html`
+        <summary class="flex items-center gap-2 py-2 cursor-pointer list-none [&::-webkit-details-marker]:hidden touch-manipulation">
+            <svg class="w-4 h-4 text-gray-500 flex-shrink-0 transition-transform group-open:rotate-90" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 5l7 7-7 7"></path>
+            </svg>
+            <h2 class="inline text-base sm:text-lg font-semibold text-gray-900">${group.label}</h2>
+            <span class="px-2 py-0.5 text-xs font-medium bg-gray-200 text-gray-700 rounded-full">${t('group.count', { count: total })}</span>
+        </summary>
     `;
+    section.addEventListener('toggle', () => {
+        if (section.open) {
+            collapsedGroups.delete(id);
+        } else {
+            collapsedGroups.add(id);
+        }
+    });
+    
+    const list = createEventList(group.events, createItem, listClassName);
+    list.classList.add('mt-2');
+    section.appendChild(list);
+    return section;
+}
+
+// Card options shared by the list and grid views
+function getCardOptions(event) {
+    return {
+        href: getEventRoute(event),
+        searchTerms: searchMatches.get(String(event.id)),
+        badgesHtml: html`${getRunStatusBadgeHtml(event, getDateFilterRange(filters))}${getChangeBadgesHtml(getChange(event))}`,
+        favouriteButtonHtml: getFavouriteButtonHtml(event)
+    };
+}
 
+// Create event list item element (list view)
+function createEventListItem(event) {
+    const item = createListItem(event, getCardOptions(event));
+    bindCardActions(item, event);
     return item;
 }
 
 // Create event card element (grid view)
 function createEventCard(event) {
-    const card = document.createElement('div');
-    card.className = 'bg-white rounded-lg shadow-sm overflow-hidden hover:shadow-md active:shadow-lg transition-shadow touch-manipulation';
-
-    // Thumbnail
-    const thumbnailUrl = event.thumbnail?.url 
-        ? `https://admin.kochimuzirisbiennale.org${event.thumbnail.url}`
-        : 'https://via.placeholder.com/400x300?text=No+Image';
-
-    // Format date - detect mobile
-    const isMobile = window.innerWidth < 640;
-    const eventDate = formatDate(event, isMobile);
-
-    // Venue
-    const venue = event.entryDetails?.venue?.place || 'Venue TBA';
-
-    // Event Type
-    const eventType = event.eventType?.title || 'Event';
-
-    card.innerHTML = `
-        <div class="aspect-video sm:aspect-[16/10] overflow-hidden bg-gray-200">
-            <img 
-                src="${thumbnailUrl}" 
-                alt="${event.title || 'Event image'}"
-                class="w-full h-full object-cover"
-                loading="lazy"
-                onerror="this.src='https://via.placeholder.com/400x300?text=No+Image'"
-            >
-        </div>
-        <div class="p-3 sm:p-4">
-            <div class="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-1 sm:gap-2 mb-2">
-                <span class="px-2 py-0.5 sm:py-1 text-xs font-medium bg-blue-100 text-blue-800 rounded self-start">
-                    ${eventType}
-                </span>
-                <span class="text-xs text-gray-500">${eventDate}</span>
+    const card = createGridCard(event, getCardOptions(event));
+    bindCardActions(card, event);
+    return card;
+}
+
+// Star toggle shown on each card
+function getFavouriteButtonHtml(event) {
+    const starred = isFavourite(event);
+    const label = t(starred ? 'event.removeFromItinerary' : 'event.addToItinerary');
+    return html`
+        <button 
+            type="button" 
+            data-action="toggle-favourite"
+            aria-pressed="${starred}"
+            aria-label="${label}"
+            title="${label}"
+            class="self-end sm:self-auto p-1 rounded ${starred ? 'text-yellow-500 hover:text-yellow-600' : 'text-gray-500 hover:text-gray-700'} touch-manipulation"
+        >
+            <svg class="w-5 h-5" fill="${starred ? 'currentColor' : 'none'}" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M11.049 2.927c.3-.921 1.603-.921 1.902 0l1.519 4.674a1 1 0 00.95.69h4.915c.969 0 1.371 1.24.588 1.81l-3.976 2.888a1 1 0 00-.363 1.118l1.518 4.674c.3.922-.755 1.688-1.538 1.118l-3.976-2.888a1 1 0 00-1.176 0l-3.976 2.888c-.783.57-1.838-.197-1.538-1.118l1.518-4.674a1 1 0 00-.363-1.118l-3.976-2.888c-.784-.57-.38-1.81.588-1.81h4.914a1 1 0 00.951-.69l1.519-4.674z"></path>
+            </svg>
+        </button>
+    `;
+}
+
+// Wire up the calendar, reminder and favourite controls of a card
+function bindCardActions(element, event) {
+    const calendarButton = element.querySelector('[data-action="add-to-calendar"]');
+    calendarButton.addEventListener('click', () => downloadEventCalendar(event));
+    
+    const reminderSelect = createReminderSelect(event);
+    if (reminderSelect) {
+        calendarButton.after(reminderSelect);
+    }
+    
+    bindFavouriteButton(element, event);
+}
+
+function bindFavouriteButton(element, event) {
+    const favouriteButton = element.querySelector('[data-action="toggle-favourite"]');
+    favouriteButton.addEventListener('click', () => {
+        toggleFavourite(event);
+        updateItineraryCount();
+        
+        if (showItinerary) {
+            // The event may have left the itinerary; focus the star now in its place
+            const buttons = [...itineraryContainer.querySelectorAll('[data-action="toggle-favourite"]')];
+            const index = buttons.indexOf(favouriteButton);
+            renderItinerary();
+            const remaining = itineraryContainer.querySelectorAll('[data-action="toggle-favourite"]');
+            (remaining[Math.min(index, remaining.length - 1)] || resultsHeading).focus();
+            return;
+        }
+        
+        // Swap in a fresh button reflecting the new state
+        favouriteButton.outerHTML = getFavouriteButtonHtml(event);
+        bindFavouriteButton(element, event);
+        element.querySelector('[data-action="toggle-favourite"]').focus();
+    });
+}
+
+// Show how many events are starred
+function updateItineraryCount() {
+    itineraryCount.textContent = getFavouriteEvents(allEvents).length;
+}
+
+// Render starred events grouped by day, flagging overlaps
+function renderItinerary() {
+    const favourites = getFavouriteEvents(allEvents);
+    const conflicts = findConflicts(favourites);
+    
+    itineraryContainer.innerHTML = '';
+    itineraryContainer.classList.remove('hidden');
+    
+    if (favourites.length === 0) {
+        itineraryContainer.innerHTML = html`
+            <div class="text-center py-8 sm:py-12">
+                <p class="text-sm sm:text-base lg:text-lg text-gray-500">${t('itinerary.empty')}</p>
             </div>
-            <h3 class="text-sm sm:text-base lg:text-lg font-semibold text-gray-900 mb-1 sm:mb-2 line-clamp-2 leading-tight">
-                ${event.title || 'Untitled Event'}
-            </h3>
-            ${event.shortDescription ? `
-                <p class="text-xs sm:text-sm text-gray-600 mb-2 sm:mb-3 line-clamp-2 leading-snug">
-                    ${event.shortDescription}
+        `;
+        return;
+    }
+    
+    groupByDay(favourites).forEach(group => {
+        const section = document.createElement('section');
+        section.className = 'mb-6 sm:mb-8';
+        
+        section.appendChild(group.date
+            ? createDayHeading(group.events[0], 'mb-3')
+            : createHeading(t('agenda.multiDay'), 'mb-3'));
+        
+        section.appendChild(createEventList(group.events, event => {
+            const item = createEventListItem(event);
+            const overlaps = conflicts.get(String(event.id));
+            if (overlaps) {
+                item.querySelector('h3').after(createConflictNote(overlaps));
+            }
+            return item;
+        }, 'flex flex-col gap-3 sm:gap-4'));
+        
+        itineraryContainer.appendChild(section);
+    });
+}
+
+// Warning listing the starred events that overlap with one event
+function createConflictNote(overlaps) {
+    const note = document.createElement('p');
+    note.className = 'mb-2 px-2 py-1 text-xs sm:text-sm bg-red-50 text-red-800 border border-red-200 rounded';
+    const events = overlaps
+        .map(other => {
+            const title = other.title || t('event.untitled');
+            return other.venue ? `${title} (${other.venue})` : title;
+        })
+        .join(', ');
+    note.textContent = t('event.overlapsWith', { events });
+    return note;
+}
+
+// Reminder picker for an event, or null once the event has started
+function createReminderSelect(event) {
+    if (!canRemind(event)) return null;
+    
+    const select = document.createElement('select');
+    select.dataset.action = 'reminder';
+    select.dataset.eventId = String(event.id);
+    select.className = 'px-2 py-1 text-sm text-gray-700 bg-white border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+    select.setAttribute('aria-label', t('reminders.label', { title: event.title || t('event.untitled') }));
+    if (!canScheduleNotifications()) {
+        select.title = t('reminders.limit');
+    }
+    
+    select.appendChild(new Option('', ''));
+    REMINDER_OFFSETS.forEach(offset => {
+        select.appendChild(new Option(t(offset.labelKey), String(offset.minutes)));
+    });
+    syncReminderSelect(select);
+    
+    select.addEventListener('change', () => changeReminder(event, Number(select.value)));
+    return select;
+}
+
+// Show an event's current reminder in its picker
+function syncReminderSelect(select) {
+    const reminder = getReminder({ id: select.dataset.eventId });
+    select.value = reminder ? String(reminder.minutesBefore) : '';
+    select.options[0].textContent = t(reminder ? 'reminders.cancel' : 'reminders.remindMe');
+}
+
+// Set or cancel (minutesBefore 0) the reminder for an event
+function changeReminder(event, minutesBefore) {
+    if (minutesBefore) {
+        setReminder(event, minutesBefore);
+        showToast(t(canScheduleNotifications() ? 'reminders.setScheduled' : 'reminders.set', { time: formatReminderDate(getReminderTime(getReminder(event))) }));
+        requestNotificationPermission().then(updateReminders);
+    } else {
+        cancelReminder(event.id);
+    }
+    updateReminders();
+}
+
+// Restart the reminder timer, reschedule the worker's notifications and
+// refresh everything that shows reminders
+function updateReminders() {
+    scheduleReminders(fireReminder);
+    scheduleReminderNotifications(getReminderNotification);
+    remindersCount.textContent = getReminders().length;
+    document.querySelectorAll('select[data-action="reminder"]').forEach(syncReminderSelect);
+    renderRemindersPanel();
+}
+
+// Title, text and link of a reminder's notification
+function getReminderNotification(reminder) {
+    const route = getEventRoute({ id: reminder.id });
+    return {
+        title: reminder.title || t('event.untitled'),
+        body: t('reminders.startsAt', {
+            time: formatInTimeZone(new Date(reminder.start), { hour: 'numeric', minute: '2-digit' }),
+            venue: reminder.venue || t('event.venueTba')
+        }),
+        route,
+        url: new URL(route, window.location.href).href
+    };
+}
+
+// A reminder went off: notify through the service worker, or show a toast.
+// A notification the worker already showed is replaced, not repeated.
+async function fireReminder(reminder) {
+    const { title, body, route, url } = getReminderNotification(reminder);
+    
+    const notified = await showReminderNotification(title, { body, url });
+    if (!notified) {
+        showToast(body, { title, href: route, linkLabel: t('reminders.view'), duration: 0 });
+    }
+    updateReminders();
+}
+
+// Short weekday, date and time for reminder messages and the panel
+function formatReminderDate(date) {
+    return formatInTimeZone(date, {
+        weekday: 'short',
+        month: 'short',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit'
+    });
+}
+
+// List saved reminders, each with a cancel button
+function renderRemindersPanel() {
+    if (remindersPanel.classList.contains('hidden')) return;
+    
+    remindersNote.textContent = t(canScheduleNotifications()
+        ? 'reminders.noteScheduled'
+        : canNotify() ? 'reminders.noteNotifications' : 'reminders.noteToast');
+    remindersList.innerHTML = '';
+    
+    const reminders = getReminders();
+    if (reminders.length === 0) {
+        remindersList.innerHTML = html`<p class="text-sm text-gray-500">${t('reminders.empty')}</p>`;
+        return;
+    }
+    
+    const list = document.createElement('ul');
+    list.setAttribute('role', 'list');
+    list.className = 'divide-y divide-gray-200';
+    reminders.forEach((reminder, index) => {
+        const title = reminder.title || t('event.untitled');
+        const offset = REMINDER_OFFSETS.find(item => item.minutes === reminder.minutesBefore);
+        
+        const item = document.createElement('li');
+        item.className = 'flex items-center justify-between gap-3 py-2';
+        item.innerHTML = html`
+            <div class="min-w-0">
+                <a href="${getEventRoute({ id: reminder.id })}" class="block text-sm font-medium text-gray-900 hover:text-blue-700 truncate">${title}</a>
+                <p class="text-xs text-gray-500">
+                    ${formatReminderDate(new Date(reminder.start))}${reminder.venue ? ` · ${reminder.venue}` : ''}${offset ? ` · ${t(offset.labelKey)}` : ''}
                 </p>
-            ` : ''}
-            <div class="flex items-center text-xs sm:text-sm text-gray-500">
-                <svg class="w-3 h-3 sm:w-4 sm:h-4 mr-1 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M17.657 16.657L13.414 20.9a1.998 1.998 0 01-2.827 0l-4.244-4.243a8 8 0 1111.314 0z"></path>
-                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15 11a3 3 0 11-6 0 3 3 0 016 0z"></path>
-                </svg>
-                <span class="truncate">${venue}</span>
             </div>
-            ${event.redirectURL?.redirectTo ? `
-                <a 
-                    href="${event.redirectURL.redirectTo}" 
-                    target="_blank" 
-                    rel="noopener noreferrer"
-                    class="mt-2 sm:mt-3 inline-block text-xs sm:text-sm text-blue-600 hover:text-blue-800 active:text-blue-900 font-medium touch-manipulation"
-                >
-                    Learn More →
-                </a>
-            ` : ''}
-        </div>
-    `;
+            <button 
+                type="button" 
+                aria-label="${t('reminders.removeFor', { title })}"
+                class="flex-shrink-0 px-3 py-1 text-xs sm:text-sm text-red-700 border border-red-200 rounded-md hover:bg-red-50 touch-manipulation"
+            >
+                ${t('reminders.remove')}
+            </button>
+        `;
+        item.querySelector('button').addEventListener('click', () => {
+            cancelReminder(reminder.id);
+            updateReminders();
+            
+            // Keep focus in the list after the reminder is gone
+            const remaining = remindersList.querySelectorAll('button');
+            (remaining[Math.min(index, remaining.length - 1)] || remindersPanel.querySelector('h2')).focus();
+        });
+        list.appendChild(item);
+    });
+    remindersList.appendChild(list);
+}
 
-    return card;
+// Show or hide the reminders panel
+function toggleRemindersPanel() {
+    const open = remindersPanel.classList.toggle('hidden') === false;
+    showRemindersBtn.setAttribute('aria-expanded', String(open));
+    renderRemindersPanel();
+}
+
+// Style a toolbar toggle button as pressed or not
+function setToggleButtonState(button, active) {
+    const activeClasses = ['bg-blue-600', 'text-white'];
+    const inactiveClasses = ['bg-white', 'text-gray-700', 'border', 'border-gray-300', 'hover:bg-gray-50'];
+    button.setAttribute('aria-pressed', String(active));
+    button.classList.remove(...activeClasses, ...inactiveClasses);
+    button.classList.add(...(active ? activeClasses : inactiveClasses));
+}
+
+// Switch between all events and the itinerary
+function setItineraryMode(enabled) {
+    showItinerary = enabled;
+    
+    setToggleButtonState(showAllEventsBtn, !enabled);
+    setToggleButtonState(showItineraryBtn, enabled);
+    
+    filtersPanel.classList.toggle('hidden', enabled);
+    viewSwitcher.classList.toggle('hidden', enabled);
+    updateSortControls();
+    renderActiveFilters();
+    renderEvents(filteredEvents);
+}
+
+// Switch between list, grid, calendar and agenda views
+function setViewMode(mode) {
+    viewMode = mode;
+    writeSetting('viewMode', mode);
+    
+    viewSwitcher.querySelectorAll('[data-view]').forEach(button => {
+        setToggleButtonState(button, button.dataset.view === mode);
+    });
+    updateSortControls();
+    
+    renderEvents(filteredEvents);
+}
+
+// Page numbers to show: first, last and a window around the current page,
+// with '…' where pages are skipped
+function getPageNumbers(current, total) {
+    const pages = [];
+    for (let page = 1; page <= total; page++) {
+        if (page === 1 || page === total || Math.abs(page - current) <= 1) {
+            pages.push(page);
+        } else if (pages[pages.length - 1] !== '…') {
+            pages.push('…');
+        }
+    }
+    return pages;
 }
 
 // Update pagination UI
-function updatePagination() {
-    pageInfo.textContent = `Page ${currentPage} of ${totalPages}`;
+function updatePagination(start, end, total) {
+    pageSummary.textContent = t('pagination.summary', { start: start + 1, end, total });
+    pageSizeSelect.value = String(pageSize);
+    paginationModeSelect.value = paginationMode;
+
+    if (paginationMode === 'scroll') {
+        pageNav.classList.add('hidden');
+        loadMoreBtn.classList.toggle('hidden', end >= total);
+        return;
+    }
+
+    pageNav.classList.remove('hidden');
+    loadMoreBtn.classList.add('hidden');
+
+    firstPageBtn.disabled = currentPage === 1;
     prevPageBtn.disabled = currentPage === 1;
     nextPageBtn.disabled = currentPage === totalPages;
+    lastPageBtn.disabled = currentPage === totalPages;
+
+    pageNumbers.innerHTML = '';
+    getPageNumbers(currentPage, totalPages).forEach(page => {
+        if (page === '…') {
+            const gap = document.createElement('span');
+            gap.className = 'px-1 text-sm text-gray-500';
+            gap.textContent = '…';
+            pageNumbers.appendChild(gap);
+            return;
+        }
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = page;
+        button.setAttribute('aria-label', t('pagination.page', { page }));
+        button.className = page === currentPage
+            ? 'min-w-[2.5rem] px-3 py-2 text-sm sm:text-base bg-blue-600 text-white border border-blue-600 rounded-md touch-manipulation'
+            : 'min-w-[2.5rem] px-3 py-2 text-sm sm:text-base bg-white border border-gray-300 rounded-md hover:bg-gray-50 active:bg-gray-100 transition-colors touch-manipulation';
+        if (page === currentPage) {
+            button.setAttribute('aria-current', 'page');
+        }
+        button.addEventListener('click', () => goToPage(page));
+        pageNumbers.appendChild(button);
+    });
 }
 
 // Navigation handlers
 function goToPage(page) {
-    if (page >= 1 && page <= totalPages) {
-        fetchEvents(page);
+    if (page >= 1 && page <= totalPages && page !== currentPage) {
+        currentPage = page;
+        renderEvents(filteredEvents);
+        eventsContainer.scrollIntoView({ block: 'start' });
+        focusEventAt(0, { preventScroll: true });
+    }
+}
+
+// Append the next page of results (load more mode). Focus moves to the first
+// new event when asked to, e.g. after pressing the button.
+function loadMore(moveFocus = false) {
+    if (currentPage < totalPages) {
+        currentPage++;
+        renderEvents(filteredEvents);
+        if (moveFocus) {
+            focusEventAt((currentPage - 1) * pageSize);
+        }
     }
 }
 
+// Focus the title link of the nth rendered event
+function focusEventAt(index, options) {
+    eventsContainer.querySelectorAll('article h3 a')[index]?.focus(options);
+}
+
 // Show/hide loading state
 function showLoading() {
     loadingDiv.classList.remove('hidden');
@@ -578,59 +1268,419 @@ function hideError() {
     errorDiv.classList.add('hidden');
 }
 
+// Show the list or an event's detail view for the current location hash
+function renderRoute() {
+    const eventId = parseEventRoute(window.location.hash);
+    
+    if (eventId === null) {
+        showListView();
+    } else {
+        showEventDetail(eventId);
+    }
+}
+
+// Show the detail view for one event
+function showEventDetail(eventId) {
+    const isNewEvent = eventId !== currentEventId;
+    currentEventId = eventId;
+    
+    filtersPanel.classList.add('hidden');
+    listView.classList.add('hidden');
+    eventDetailDiv.classList.remove('hidden');
+    
+    // A prerendered page for this event stays until the events load, and
+    // when they can't be loaded
+    const event = allEvents.find(item => String(item.id) === eventId);
+    if (!event && eventDetailDiv.dataset.prerenderedEvent === eventId) return;
+    delete eventDetailDiv.dataset.prerenderedEvent;
+    eventDetailDiv.innerHTML = '';
+    
+    // Wait for the events to load before deciding the event does not exist
+    if (!eventsLoaded) return;
+    
+    if (event) {
+        eventDetailDiv.appendChild(createEventDetail(event, {
+            onBack: closeEventDetail,
+            onAddToCalendar: () => downloadEventCalendar(event),
+            reminderControl: createReminderSelect(event)
+        }));
+        document.title = `${event.title || t('event.untitled')} – ${t('app.title')}`;
+    } else {
+        eventDetailDiv.appendChild(createEventNotFound());
+        document.title = t('app.title');
+    }
+    
+    if (isNewEvent) {
+        window.scrollTo(0, 0);
+        (eventDetailDiv.querySelector('h1') || eventDetailDiv.querySelector('button'))?.focus({ preventScroll: true });
+    }
+}
+
+// Message shown when a linked event is not in the programme
+function createEventNotFound() {
+    const message = document.createElement('div');
+    message.className = 'text-center py-8 sm:py-12';
+    message.innerHTML = html`
+        <p class="text-sm sm:text-base lg:text-lg text-gray-500 mb-4">${t('detail.notFound')}</p>
+        <button type="button" class="text-sm text-blue-600 hover:text-blue-800 active:text-blue-900 font-medium touch-manipulation">
+            ${t('detail.back')}
+        </button>
+    `;
+    message.querySelector('button').addEventListener('click', closeEventDetail);
+    return message;
+}
+
+// Show the events list, restoring where the user was
+function showListView() {
+    const previousEventId = currentEventId;
+    const wasShowingDetail = currentEventId !== null;
+    currentEventId = null;
+    
+    eventDetailDiv.classList.add('hidden');
+    eventDetailDiv.innerHTML = '';
+    filtersPanel.classList.toggle('hidden', showItinerary);
+    listView.classList.remove('hidden');
+    document.title = t('app.title');
+    
+    if (wasShowingDetail) {
+        window.scrollTo(0, listScrollY);
+        
+        // Put focus back on the event that was opened, if it is still shown
+        const route = getEventRoute({ id: previousEventId });
+        const link = [...listView.querySelectorAll('a')].find(item => item.getAttribute('href') === route);
+        (link || resultsHeading).focus({ preventScroll: true });
+    }
+}
+
+// Prerendered event pages (event/<id>/) continue as the app's detail route
+// for that event, so going back to the list works as usual
+function adoptPrerenderedRoute() {
+    const eventId = eventDetailDiv.dataset.prerenderedEvent;
+    if (!eventId || parseEventRoute(window.location.hash) !== null) return;
+    
+    history.replaceState(history.state, '', import.meta.env.BASE_URL + window.location.search + getEventRoute({ id: eventId }));
+}
+
+// Leave the detail view. Go back in history when we came from the list,
+// otherwise (e.g. a shared link) add a new entry for the list.
+function closeEventDetail() {
+    if (detailOpenedFromList) {
+        history.back();
+    } else {
+        history.pushState(null, '', window.location.pathname + window.location.search);
+        renderRoute();
+    }
+}
+
+// Set the filter inputs to match the filters object
+function syncFilterControls() {
+    searchInput.value = filters.search;
+    FACETS.forEach(facet => {
+        facetOptionElements[facet.key]?.forEach(({ input }, value) => {
+            input.checked = filters[facet.key].includes(value);
+        });
+    });
+    dateFromInput.value = filters.dateFrom;
+    dateToInput.value = filters.dateTo;
+}
+
+// Update one filter, record it in the URL and re-filter. Consecutive edits
+// to the search box share one history entry instead of one per keystroke.
+function setFilter(key, value) {
+    filters[key] = value;
+    writeFiltersToUrl(filters, key === 'search' && lastFilterChange === 'search');
+    lastFilterChange = key;
+    applyFilters();
+}
+
+// Tick or untick one option of a facet
+function toggleFacetValue(key, value, selected) {
+    const values = filters[key].filter(item => item !== value);
+    if (selected) {
+        values.push(value);
+    }
+    setFilter(key, values);
+}
+
+// Apply a quick date preset, or clear it when it is already active
+function applyTimePreset(preset) {
+    if (preset === 'now') {
+        setFilter('now', filters.now ? '' : '1');
+        return;
+    }
+    
+    const range = getPresetRange(preset);
+    const active = getActivePreset(filters.dateFrom, filters.dateTo) === preset;
+    filters.dateFrom = active ? '' : range.dateFrom;
+    filters.dateTo = active ? '' : range.dateTo;
+    
+    syncFilterControls();
+    writeFiltersToUrl(filters);
+    lastFilterChange = 'dateFrom';
+    applyFilters();
+}
+
+// Tick or untick a time-of-day bucket
+function toggleTimeOfDay(key) {
+    const values = filters.timeOfDay.includes(key)
+        ? filters.timeOfDay.filter(value => value !== key)
+        : [...filters.timeOfDay, key];
+    setFilter('timeOfDay', values);
+}
+
+// Create the preset and time-of-day buttons
+function createTimeControls() {
+    TIME_PRESETS.forEach(preset => {
+        timePresetsDiv.appendChild(createTimeButton(preset, () => applyTimePreset(preset.key)));
+    });
+    TIMES_OF_DAY.forEach(time => {
+        timeOfDayDiv.appendChild(createTimeButton(time, () => toggleTimeOfDay(time.key)));
+    });
+}
+
+function createTimeButton({ key, labelKey }, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.dataset.key = key;
+    button.dataset.i18n = labelKey;
+    button.textContent = t(labelKey);
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+// Highlight the active preset and time-of-day buttons
+function updateTimeControls() {
+    const activePreset = getActivePreset(filters.dateFrom, filters.dateTo);
+    timePresetsDiv.querySelectorAll('button').forEach(button => {
+        const key = button.dataset.key;
+        setChipButtonState(button, key === 'now' ? !!filters.now : key === activePreset);
+    });
+    timeOfDayDiv.querySelectorAll('button').forEach(button => {
+        setChipButtonState(button, filters.timeOfDay.includes(button.dataset.key));
+    });
+}
+
+function setChipButtonState(button, active) {
+    button.setAttribute('aria-pressed', String(active));
+    button.className = active
+        ? 'px-3 py-1.5 text-xs sm:text-sm font-medium bg-blue-600 text-white border border-blue-600 rounded-full touch-manipulation'
+        : 'px-3 py-1.5 text-xs sm:text-sm font-medium bg-white text-gray-700 border border-gray-300 rounded-full hover:bg-gray-50 active:bg-gray-100 transition-colors touch-manipulation';
+}
+
+// Offer the "my timezone" toggle only to viewers outside IST
+function setupTimeZoneToggle() {
+    const localTimeZone = getLocalTimeZone();
+    const isIst = getTimeZoneLabel(localTimeZone) === getTimeZoneLabel(EVENT_TIME_ZONE);
+    timeZoneToggle.classList.toggle('hidden', isIst);
+    useLocalTimeZoneInput.checked = !isIst && isUsingLocalTimeZone();
+    useLocalTimeZoneLabel.textContent = t('timeZone.toggle', { zone: localTimeZone });
+    if (isIst && isUsingLocalTimeZone()) {
+        setUseLocalTimeZone(false);
+    }
+    updateTimeZoneNote();
+}
+
+function updateTimeZoneNote() {
+    timeZoneNote.textContent = isUsingLocalTimeZone()
+        ? t('timeZone.local', { zone: getLocalTimeZone() })
+        : t('timeZone.ist');
+}
+
+// Switch between IST and the viewer's timezone and redraw everything
+function changeTimeZone(useLocal) {
+    setUseLocalTimeZone(useLocal);
+    updateTimeZoneNote();
+    if (lastUpdatedAt) {
+        updateLastUpdated(lastUpdatedAt);
+    }
+    calendarSelectedDay = null;
+    timelineAnchor = null;
+    calendarMonth = null;
+    applyFilters(true);
+    renderRemindersPanel();
+    renderChangesPanel();
+    if (currentEventId) {
+        renderRoute();
+    }
+}
+
+// Fill the language menu
+function setupLanguageSelect() {
+    LANGUAGES.forEach(({ code, label }) => {
+        const option = document.createElement('option');
+        option.value = code;
+        option.lang = code;
+        option.textContent = label;
+        languageSelect.appendChild(option);
+    });
+    languageSelect.value = getLanguage();
+}
+
+// Fill the sort and group-by menus in the current language
+function setupSortControls() {
+    [[sortSelect, SORT_OPTIONS, sortKey], [groupSelect, GROUP_OPTIONS, groupKey]].forEach(([select, options, value]) => {
+        select.innerHTML = '';
+        options.forEach(option => {
+            select.appendChild(new Option(t(option.labelKey), option.key));
+        });
+        select.value = value;
+    });
+}
+
+// Sorting and grouping apply to the list and grid views
+function updateSortControls() {
+    sortControls.classList.toggle('hidden', showItinerary || (viewMode !== 'list' && viewMode !== 'grid'));
+}
+
+function changeSort(key) {
+    sortKey = key;
+    writeSetting('sortKey', key);
+    sortedEvents = sortEvents(allEvents, sortKey);
+    applyFilters();
+}
+
+function changeGrouping(key) {
+    groupKey = key;
+    writeSetting('groupKey', key);
+    renderEvents(filteredEvents);
+}
+
+// Switch the UI language and redraw everything
+function changeLanguage(code) {
+    setLanguage(code);
+    translateDocument();
+    setupSortControls();
+    setupExportMenu();
+    setupTimeZoneToggle();
+    if (lastUpdatedAt) {
+        updateLastUpdated(lastUpdatedAt);
+    }
+    applyFilters(true);
+    renderRemindersPanel();
+    renderChangesPanel();
+    renderRoute();
+}
+
+// Print the filtered events (or the itinerary) as a compact programme
+function printProgramme() {
+    const events = showItinerary ? getFavouriteEvents(allEvents) : filteredEvents;
+    const filterLabels = showItinerary ? [] : getActiveFilterChips().map(chip => chip.label);
+    
+    printSheet.replaceChildren(createPrintProgramme(events, {
+        title: showItinerary ? t('toolbar.itinerary') : t('print.programme'),
+        details: [
+            filterLabels.length > 0 ? t('print.filters', { filters: filterLabels.join(', ') }) : '',
+            `${t('print.count', { count: events.length })} · ${timeZoneNote.textContent}`,
+            t('print.printedOn', { date: formatInTimeZone(new Date(), { year: 'numeric', month: 'long', day: 'numeric' }) })
+        ]
+    }));
+    document.body.classList.add('printing-programme');
+    window.print();
+}
+
+// Export the filtered events (or the itinerary) as a file, noting the
+// active filters and a link back to the same view in its header
+function exportEvents(formatKey) {
+    const events = showItinerary ? getFavouriteEvents(allEvents) : filteredEvents;
+    
+    downloadEventsExport(events, formatKey, {
+        title: showItinerary ? t('toolbar.itinerary') : t('print.programme'),
+        filters: showItinerary ? [] : getActiveFilterChips().map(chip => chip.label),
+        link: showItinerary ? '' : window.location.origin + window.location.pathname + buildFilterSearch(filters),
+        filename: showItinerary ? 'biennale-itinerary' : 'biennale-events'
+    });
+}
+
+// Fill the export menu in the current language
+function setupExportMenu() {
+    exportFormats.innerHTML = html`${EXPORT_FORMATS.map(format => html`
+        <button type="button" data-format="${format.key}" class="block w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-100 focus:bg-gray-100">${t(format.labelKey)}</button>
+    `)}`;
+}
+
 // Clear all filters
 function clearFilters() {
-    filters = {
-        search: '',
-        eventType: '',
-        venue: '',
-        category: '',
-        dateFrom: '',
-        dateTo: ''
-    };
-    
-    searchInput.value = '';
-    eventTypeSelect.value = '';
-    venueSelect.value = '';
-    categorySelect.value = '';
-    dateFromInput.value = '';
-    dateToInput.value = '';
+    filters = createEmptyFilters();
     
+    syncFilterControls();
+    writeFiltersToUrl(filters);
+    lastFilterChange = null;
     applyFilters();
 }
 
 // Event Listeners
 searchInput.addEventListener('input', debounce((e) => {
-    filters.search = e.target.value;
-    applyFilters();
+    setFilter('search', e.target.value);
 }, 300));
 
-eventTypeSelect.addEventListener('change', (e) => {
-    filters.eventType = e.target.value;
-    applyFilters();
+dateFromInput.addEventListener('change', (e) => {
+    setFilter('dateFrom', e.target.value);
 });
 
-venueSelect.addEventListener('change', (e) => {
-    filters.venue = e.target.value;
-    applyFilters();
+dateToInput.addEventListener('change', (e) => {
+    setFilter('dateTo', e.target.value);
 });
 
-categorySelect.addEventListener('change', (e) => {
-    filters.category = e.target.value;
-    applyFilters();
+clearFiltersBtn.addEventListener('click', clearFilters);
+
+useLocalTimeZoneInput.addEventListener('change', (e) => {
+    changeTimeZone(e.target.checked);
 });
 
-dateFromInput.addEventListener('change', (e) => {
-    filters.dateFrom = e.target.value;
-    applyFilters();
+sortSelect.addEventListener('change', (e) => {
+    changeSort(e.target.value);
 });
 
-dateToInput.addEventListener('change', (e) => {
-    filters.dateTo = e.target.value;
-    applyFilters();
+groupSelect.addEventListener('change', (e) => {
+    changeGrouping(e.target.value);
 });
 
-clearFiltersBtn.addEventListener('click', clearFilters);
+autoRefreshInput.addEventListener('change', (e) => {
+    setAutoRefresh(e.target.checked);
+});
+
+languageSelect.addEventListener('change', (e) => {
+    changeLanguage(e.target.value);
+});
+
+printProgrammeBtn.addEventListener('click', printProgramme);
+
+// Back to normal printing once the programme has been printed
+window.addEventListener('afterprint', () => {
+    document.body.classList.remove('printing-programme');
+    printSheet.innerHTML = '';
+});
+
+exportFormats.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-format]');
+    if (!button) return;
+    
+    exportEvents(button.dataset.format);
+    exportMenu.open = false;
+    exportMenu.querySelector('summary').focus();
+});
+
+// Close the export menu with Escape or a click elsewhere
+exportMenu.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && exportMenu.open) {
+        exportMenu.open = false;
+        exportMenu.querySelector('summary').focus();
+    }
+});
+
+document.addEventListener('click', (e) => {
+    if (exportMenu.open && !exportMenu.contains(e.target)) {
+        exportMenu.open = false;
+    }
+});
+
+exportCalendarBtn.addEventListener('click', () => {
+    if (filteredEvents.length > 0) {
+        downloadEventsCalendar(filteredEvents);
+    }
+});
+
+firstPageBtn.addEventListener('click', () => goToPage(1));
 
 prevPageBtn.addEventListener('click', () => {
     if (currentPage > 1) {
@@ -644,6 +1694,62 @@ nextPageBtn.addEventListener('click', () => {
     }
 });
 
+lastPageBtn.addEventListener('click', () => goToPage(totalPages));
+
+pageSizeSelect.addEventListener('change', (e) => {
+    pageSize = Number(e.target.value);
+    writeSetting('pageSize', pageSize);
+    currentPage = 1;
+    renderEvents(filteredEvents);
+});
+
+paginationModeSelect.addEventListener('change', (e) => {
+    paginationMode = e.target.value;
+    writeSetting('paginationMode', paginationMode);
+    currentPage = 1;
+    renderEvents(filteredEvents);
+});
+
+loadMoreBtn.addEventListener('click', () => loadMore(true));
+
+// Infinite scroll: load the next page when the "Load more" button comes into view
+if ('IntersectionObserver' in window) {
+    const loadMoreObserver = new IntersectionObserver((entries) => {
+        if (entries.some(entry => entry.isIntersecting) && paginationMode === 'scroll' && currentPage < totalPages) {
+            loadMore();
+            // The observer only reports changes, so a button still in view
+            // after a short page would stop loading. Observing again reports
+            // its current state, loading pages until it leaves the view.
+            loadMoreObserver.unobserve(loadMoreBtn);
+            loadMoreObserver.observe(loadMoreBtn);
+        }
+    }, { rootMargin: '200px' });
+    loadMoreObserver.observe(loadMoreBtn);
+}
+
+showAllEventsBtn.addEventListener('click', () => setItineraryMode(false));
+showItineraryBtn.addEventListener('click', () => setItineraryMode(true));
+showRemindersBtn.addEventListener('click', toggleRemindersPanel);
+
+// Timers can be late after the device sleeps; catch up when the page is shown
+document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') {
+        updateReminders();
+    }
+});
+
+viewSwitcher.querySelectorAll('[data-view]').forEach(button => {
+    button.addEventListener('click', () => setViewMode(button.dataset.view));
+});
+
+// Keep sticky agenda headers below the sticky page header
+const pageHeader = document.querySelector('header');
+if (pageHeader && 'ResizeObserver' in window) {
+    new ResizeObserver(() => {
+        document.documentElement.style.setProperty('--header-height', `${pageHeader.offsetHeight}px`);
+    }).observe(pageHeader);
+}
+
 // Mobile filters toggle
 const filtersToggle = document.getElementById('filtersToggle');
 const filtersContent = document.getElementById('filtersContent');
@@ -659,6 +1765,7 @@ if (filtersToggle && filtersContent) {
             filtersContent.classList.add('hidden');
             filtersToggleIcon.classList.remove('rotate-180');
         }
+        filtersToggle.setAttribute('aria-expanded', String(isHidden));
     });
 }
 
@@ -670,8 +1777,9 @@ window.addEventListener('resize', () => {
         // Show filters on desktop automatically
         if (window.innerWidth >= 640 && filtersContent) {
             filtersContent.classList.remove('hidden');
+            filtersToggle?.setAttribute('aria-expanded', 'true');
             if (filtersToggleIcon) {
-                filtersToggleIcon.classList.remove('rotate-180');
+                filtersToggleIcon.classList.add('rotate-180');
             }
         }
         
@@ -682,8 +1790,59 @@ window.addEventListener('resize', () => {
     }, 250);
 });
 
+// Hash routing between the list and event detail views
+window.addEventListener('hashchange', () => {
+    const eventId = parseEventRoute(window.location.hash);
+    if (eventId !== null && currentEventId === null) {
+        // Opening a detail view from the list: remember where we were
+        detailOpenedFromList = true;
+        listScrollY = window.scrollY;
+    } else if (eventId === null) {
+        detailOpenedFromList = false;
+    }
+    renderRoute();
+});
+
+// Back/forward between filter states
+window.addEventListener('popstate', () => {
+    const urlFilters = readFiltersFromUrl();
+    if (filtersEqual(urlFilters, filters)) return;
+    
+    filters = urlFilters;
+    lastFilterChange = null;
+    syncFilterControls();
+    applyFilters();
+});
+
 // Initialize app
 document.addEventListener('DOMContentLoaded', () => {
-    fetchEvents(1);
+    // Facet checkboxes are created later by populateFilters(), which
+    // ticks the values restored from the URL
+    setupLanguageSelect();
+    translateDocument();
+    setupSortControls();
+    setupExportMenu();
+    syncFilterControls();
+    createTimeControls();
+    setupTimeZoneToggle();
+    updateTimeControls();
+    setItineraryMode(false);
+    setViewMode(viewMode);
+    updateReminders();
+    setAutoRefresh(readSetting('autoRefresh', false));
+    adoptPrerenderedRoute();
+    renderRoute();
+    fetchEvents();
 });
 
+// Register the service worker that caches the app shell for offline use
+if ('serviceWorker' in navigator && import.meta.env.PROD) {
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`).catch(error => {
+            console.warn('Service worker registration failed:', error);
+        });
+        // A worker installed on this visit can only schedule once it is active
+        navigator.serviceWorker.ready.then(() => scheduleReminderNotifications(getReminderNotification));
+    });
+}
+
@@ -0,0 +1,242 @@
+// Turns raw Payload event docs into the app's Event model, so the rest of
+// the app never reads Payload shapes directly. Every doc that is dropped or
+// repaired gets a reason in the report shown by the diagnostics panel.
+//
+// Event model:
+//   id               string
+//   title            string ('' when missing)
+//   shortDescription string ('' when missing)
+//   description      Lexical rich text ({ root }), a string, or null
+//   eventType        string or null
+//   category         string or null
+//   venue            string or null
+//   venueAddress     the venue's address as stored in the CMS, or null
+//   entryDetails     other entry detail fields (entry fee, ...), raw
+//   imageUrl         absolute image URL on a trusted domain, or null
+//   url              "Learn more" link on a trusted domain, or null
+//   start            Date
+//   end              Date after `start`, or null for events with a single date
+//   updatedAt        Date or null
+
+import { CMS_ORIGIN } from './dataSource.js';
+import { eventOverlapsRange } from './eventUtils.js';
+import { sanitizeUrl } from './sanitize.js';
+import { formatInTimeZone } from './timeZone.js';
+
+// Report with nothing in it
+export function createEmptyReport() {
+    return {
+        total: 0,
+        kept: 0,
+        dropped: [],
+        repaired: [],
+        missingImages: [],
+        missingVenues: [],
+        unknownShapes: []
+    };
+}
+
+// Normalize raw docs. Events that ended before `minDate` are dropped.
+// Returns { events, report }.
+export function normalizeEvents(docs, { minDate = null } = {}) {
+    const report = createEmptyReport();
+    const events = [];
+    const seenIds = new Set();
+
+    (Array.isArray(docs) ? docs : []).forEach(doc => {
+        report.total++;
+        const entry = reason => ({ id: doc?.id ?? null, title: typeof doc?.title === 'string' ? doc.title : '', reason });
+        const note = (list, reason) => report[list].push(entry(reason));
+
+        if (!doc || typeof doc !== 'object') {
+            note('dropped', 'Not an object');
+            return;
+        }
+
+        const id = doc.id === undefined || doc.id === null ? '' : String(doc.id);
+        if (!id) {
+            note('dropped', 'No id');
+            return;
+        }
+        if (seenIds.has(id)) {
+            note('dropped', 'Duplicate id');
+            return;
+        }
+
+        const dates = readDates(doc.timeAndDate, note);
+        if (!dates) return;
+
+        if (minDate && !eventOverlapsRange(dates, minDate, null)) {
+            note('dropped', `Ended before ${formatInTimeZone(minDate, { month: 'short', day: 'numeric', year: 'numeric' })}`);
+            return;
+        }
+
+        const event = {
+            id,
+            title: readText(doc.title, 'title', note),
+            shortDescription: readText(doc.shortDescription, 'shortDescription', note),
+            description: readDescription(doc.description, note),
+            eventType: readRelationTitle(doc.eventType, 'eventType', note),
+            category: readRelationTitle(doc.categories, 'categories', note),
+            ...readEntryDetails(doc.entryDetails, note),
+            imageUrl: readImageUrl(doc.thumbnail, note),
+            url: readLinkUrl(doc.redirectURL, note),
+            ...dates,
+            updatedAt: readDate(doc.updatedAt)
+        };
+
+        if (!event.title) note('repaired', 'No title');
+        if (!event.imageUrl) note('missingImages', 'No usable image');
+        if (!event.venue) note('missingVenues', 'No venue');
+
+        seenIds.add(id);
+        events.push(event);
+    });
+
+    report.kept = events.length;
+    return { events, report };
+}
+
+function readDate(value) {
+    if (typeof value !== 'string' && typeof value !== 'number') return null;
+    const date = new Date(value);
+    return isNaN(date) ? null : date;
+}
+
+// { start, end } from Payload's timeAndDate group, or null (and a 'dropped'
+// note) when there is no usable start. Single-day events use `date`; others
+// use `startDate` and `endDate`. When the expected field is empty the other
+// one is used instead.
+function readDates(timeAndDate, note) {
+    if (!timeAndDate || typeof timeAndDate !== 'object') {
+        note('dropped', 'No time and date');
+        return null;
+    }
+
+    const { singleDayEvent, date, startDate, endDate } = timeAndDate;
+    const isSingleDay = singleDayEvent === true || (singleDayEvent !== false && !!date);
+
+    let startValue = isSingleDay ? date : startDate;
+    if (!startValue) {
+        startValue = isSingleDay ? startDate : date;
+        if (!startValue) {
+            note('dropped', 'No date');
+            return null;
+        }
+        note('repaired', isSingleDay ? 'Single-day event has no date; used startDate' : 'Multi-day event has no startDate; used date');
+    }
+
+    const start = readDate(startValue);
+    if (!start) {
+        note('dropped', `Unreadable date "${startValue}"`);
+        return null;
+    }
+
+    let end = null;
+    if (!isSingleDay && endDate) {
+        end = readDate(endDate);
+        if (!end) {
+            note('repaired', `Unreadable end date "${endDate}"; ignored`);
+        } else if (end <= start) {
+            note('repaired', 'End date is not after the start; ignored');
+            end = null;
+        }
+    }
+
+    return { start, end };
+}
+
+// Plain text field; numbers are converted, other shapes are reported
+function readText(value, field, note) {
+    if (value === undefined || value === null) return '';
+    if (typeof value === 'string') return value.trim();
+    if (typeof value === 'number') return String(value);
+    note('unknownShapes', `${field} is ${describeShape(value)}`);
+    return '';
+}
+
+// Lexical rich text or a string
+function readDescription(value, note) {
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value === 'string') return value;
+    if (typeof value === 'object' && value.root && typeof value.root === 'object') return value;
+    note('unknownShapes', `description is ${describeShape(value)}`);
+    return null;
+}
+
+// Title of a populated relationship (eventType, categories). Arrays use the
+// first item; unpopulated relationships arrive as bare ids.
+function readRelationTitle(value, field, note) {
+    if (value === undefined || value === null) return null;
+
+    if (Array.isArray(value)) {
+        if (value.length === 0) return null;
+        if (value.length > 1) note('repaired', `${field} has ${value.length} values; only the first is used`);
+        return readRelationTitle(value[0], field, note);
+    }
+
+    if (typeof value === 'object' && typeof value.title === 'string' && value.title.trim()) {
+        return value.title.trim();
+    }
+    note('unknownShapes', `${field} is ${describeShape(value)}${typeof value !== 'object' ? ' (relationship not populated?)' : ''}`);
+    return null;
+}
+
+// Venue name and address, plus the remaining entry detail fields
+function readEntryDetails(entryDetails, note) {
+    const result = { venue: null, venueAddress: null, entryDetails: {} };
+    if (entryDetails === undefined || entryDetails === null) return result;
+    if (typeof entryDetails !== 'object' || Array.isArray(entryDetails)) {
+        note('unknownShapes', `entryDetails is ${describeShape(entryDetails)}`);
+        return result;
+    }
+
+    const { venue, id, ...rest } = entryDetails;
+    result.entryDetails = rest;
+
+    if (venue === undefined || venue === null) return result;
+    if (typeof venue === 'object' && typeof venue.place === 'string') {
+        result.venue = venue.place.trim() || null;
+        result.venueAddress = venue.address ?? null;
+    } else {
+        note('unknownShapes', `entryDetails.venue is ${describeShape(venue)}${typeof venue !== 'object' ? ' (relationship not populated?)' : ''}`);
+    }
+    return result;
+}
+
+// Image URLs are relative to the CMS; anything off the trusted domains is dropped
+function readImageUrl(thumbnail, note) {
+    if (thumbnail === undefined || thumbnail === null) return null;
+    if (typeof thumbnail !== 'object' || typeof thumbnail.url !== 'string') {
+        note('unknownShapes', `thumbnail is ${describeShape(thumbnail)}`);
+        return null;
+    }
+
+    const url = sanitizeUrl(thumbnail.url, { base: CMS_ORIGIN });
+    if (!url) note('repaired', `Image "${thumbnail.url}" is not on a trusted domain; dropped`);
+    return url;
+}
+
+function readLinkUrl(redirectURL, note) {
+    if (redirectURL === undefined || redirectURL === null) return null;
+    if (typeof redirectURL !== 'object') {
+        note('unknownShapes', `redirectURL is ${describeShape(redirectURL)}`);
+        return null;
+    }
+    if (!redirectURL.redirectTo) return null;
+
+    const url = sanitizeUrl(redirectURL.redirectTo);
+    if (!url) note('repaired', `Link "${redirectURL.redirectTo}" is not an http(s) link on a Biennale domain; dropped`);
+    return url;
+}
+
+// Short description of a value's type for reports, e.g. "a string"
+function describeShape(value) {
+    if (Array.isArray(value)) return 'an array';
+    if (value === null) return 'null';
+    if (typeof value === 'object') {
+        const keys = Object.keys(value);
+        return keys.length ? `an object with keys ${keys.slice(0, 5).join(', ')}` : 'an empty object';
+    }
+    return `a ${typeof value}`;
+}
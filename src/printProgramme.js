@@ -0,0 +1,117 @@
+// Compact printable programme: events grouped by day and venue, with times,
+// no images and a small QR code linking to each event's page. Shown only
+// when printing (see the print styles in style.css).
+
+import { formatDate, groupByDay } from './eventUtils.js';
+import { createQrCodeSvg } from './qrCode.js';
+import { formatInTimeZone, getDayKey } from './timeZone.js';
+import { t } from './i18n.js';
+
+function el(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+}
+
+// Group a day's events by venue, venues A–Z with unknown venues last
+function groupByVenue(events) {
+    const venues = new Map();
+    events.forEach(event => {
+        const venue = event.venue || '';
+        if (!venues.has(venue)) venues.set(venue, []);
+        venues.get(venue).push(event);
+    });
+    return Array.from(venues.entries())
+        .sort(([a], [b]) => (!a) - (!b) || a.localeCompare(b))
+        .map(([venue, venueEvents]) => ({ venue: venue || t('event.venueTba'), events: venueEvents }));
+}
+
+// "10:00 – 12:30" for events on one day; the full date range otherwise
+function formatTimes(event, multiDay) {
+    if (multiDay) return formatDate(event, true);
+
+    const options = { hour: 'numeric', minute: '2-digit' };
+    const start = formatInTimeZone(event.start, options);
+    if (!event.end || getDayKey(event.end) !== getDayKey(event.start)) return start;
+    return `${start} – ${formatInTimeZone(event.end, options)}`;
+}
+
+// Link text without the protocol, to keep the column narrow
+function formatLink(url) {
+    return url.replace(/^https?:\/\/(www\.)?/, '').replace(/\/$/, '');
+}
+
+function createEventRow(event, multiDay) {
+    const row = el('tr', 'align-top border-b border-gray-200 break-inside-avoid');
+
+    row.appendChild(el('td', 'py-1.5 pr-3 w-28 whitespace-nowrap font-medium', formatTimes(event, multiDay)));
+
+    const details = el('td', 'py-1.5 pr-3');
+    details.appendChild(el('span', 'font-semibold', event.title || t('event.untitled')));
+    const tags = [event.eventType, event.category].filter(Boolean).join(' · ');
+    if (tags) {
+        details.appendChild(el('span', 'block text-gray-600', tags));
+    }
+    row.appendChild(details);
+
+    const link = el('td', 'py-1.5 w-48');
+    if (event.url) {
+        const wrapper = el('div', 'flex items-center justify-end gap-2');
+        const anchor = el('a', 'text-[10px] leading-tight text-gray-700 break-all text-right', formatLink(event.url));
+        anchor.href = event.url;
+        wrapper.appendChild(anchor);
+
+        const qrCode = createQrCodeSvg(event.url, { label: t('print.qrLabel', { title: event.title || t('event.untitled') }) });
+        if (qrCode) {
+            qrCode.setAttribute('class', 'w-14 h-14 flex-shrink-0');
+            wrapper.appendChild(qrCode);
+        }
+        link.appendChild(wrapper);
+    }
+    row.appendChild(link);
+
+    return row;
+}
+
+// Create the printable programme for the events. `title` names the sheet and
+// `details` are short lines such as the active filters.
+export function createPrintProgramme(events, { title, details = [] }) {
+    const programme = el('article', 'print-programme text-sm text-black');
+
+    const header = el('header', 'mb-4 pb-2 border-b-2 border-black');
+    header.appendChild(el('h1', 'text-xl font-bold', t('app.title')));
+    header.appendChild(el('p', 'text-base font-semibold', title));
+    details.filter(Boolean).forEach(line => {
+        header.appendChild(el('p', 'text-xs text-gray-700', line));
+    });
+    programme.appendChild(header);
+
+    const groups = groupByDay(events);
+    if (groups.length === 0) {
+        programme.appendChild(el('p', '', t('print.empty')));
+        return programme;
+    }
+
+    groups.forEach(group => {
+        const multiDay = !group.date;
+        const section = el('section', 'mb-5');
+        section.appendChild(el('h2', 'text-base font-bold border-b border-gray-400 mb-1 break-after-avoid', multiDay
+            ? t('agenda.multiDay')
+            : formatInTimeZone(group.date, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })));
+
+        groupByVenue(group.events).forEach(({ venue, events: venueEvents }) => {
+            section.appendChild(el('h3', 'mt-2 mb-0.5 text-sm font-semibold uppercase tracking-wide text-gray-700 break-after-avoid', venue));
+
+            const table = el('table', 'w-full text-xs border-collapse');
+            const body = el('tbody');
+            venueEvents.forEach(event => body.appendChild(createEventRow(event, multiDay)));
+            table.appendChild(body);
+            section.appendChild(table);
+        });
+
+        programme.appendChild(section);
+    });
+
+    return programme;
+}
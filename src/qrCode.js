@@ -0,0 +1,356 @@
+// Small QR code encoder for printed links: byte mode, error correction
+// level M, versions 1–10 (up to 213 bytes, plenty for an event URL).
+// Follows ISO/IEC 18004; coordinates are (x, y) = (column, row).
+
+// Error correction per version at level M: [EC codewords per block,
+// [block count, data codewords per block], ...]
+const BLOCKS = [
+    null,
+    [10, [1, 16]],
+    [16, [1, 28]],
+    [26, [1, 44]],
+    [18, [2, 32]],
+    [24, [2, 43]],
+    [16, [4, 27]],
+    [18, [4, 31]],
+    [22, [2, 38], [2, 39]],
+    [22, [3, 36], [2, 37]],
+    [26, [4, 43], [1, 44]]
+];
+
+// Alignment pattern centres per version
+const ALIGNMENT_POSITIONS = [
+    null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34],
+    [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]
+];
+
+const MAX_VERSION = BLOCKS.length - 1;
+const QUIET_ZONE = 4;
+
+// Log and antilog tables for GF(256) with the QR polynomial 0x11d
+const EXP = new Array(512);
+const LOG = new Array(256);
+for (let i = 0, value = 1; i < 255; i++) {
+    EXP[i] = value;
+    LOG[value] = i;
+    value <<= 1;
+    if (value & 0x100) value ^= 0x11d;
+}
+for (let i = 255; i < 512; i++) {
+    EXP[i] = EXP[i - 255];
+}
+
+function gfMultiply(a, b) {
+    return a && b ? EXP[LOG[a] + LOG[b]] : 0;
+}
+
+// Reed–Solomon error correction codewords for a block of data
+function getErrorCorrection(data, count) {
+    let generator = [1];
+    for (let i = 0; i < count; i++) {
+        const next = new Array(generator.length + 1).fill(0);
+        generator.forEach((coefficient, j) => {
+            next[j] ^= coefficient;
+            next[j + 1] ^= gfMultiply(coefficient, EXP[i]);
+        });
+        generator = next;
+    }
+
+    const message = [...data, ...new Array(count).fill(0)];
+    for (let i = 0; i < data.length; i++) {
+        const factor = message[i];
+        if (!factor) continue;
+        generator.forEach((coefficient, j) => {
+            message[i + j] ^= gfMultiply(coefficient, factor);
+        });
+    }
+    return message.slice(data.length);
+}
+
+function getDataCapacity(version) {
+    const [, ...groups] = BLOCKS[version];
+    return groups.reduce((sum, [count, size]) => sum + count * size, 0);
+}
+
+// Data codewords for the text, or null when it does not fit
+function encodeData(bytes) {
+    for (let version = 1; version <= MAX_VERSION; version++) {
+        const countBits = version < 10 ? 8 : 16;
+        const capacity = getDataCapacity(version);
+        if (4 + countBits + bytes.length * 8 > capacity * 8) continue;
+
+        const bits = [];
+        const push = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+        };
+        push(0b0100, 4);
+        push(bytes.length, countBits);
+        bytes.forEach(byte => push(byte, 8));
+        push(0, Math.min(4, capacity * 8 - bits.length));
+        push(0, (8 - bits.length % 8) % 8);
+
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+        }
+        for (let pad = 0xec; codewords.length < capacity; pad ^= 0xec ^ 0x11) {
+            codewords.push(pad);
+        }
+        return { version, codewords };
+    }
+    return null;
+}
+
+// Split data into blocks, add error correction and interleave
+function addErrorCorrection(version, codewords) {
+    const [ecCount, ...groups] = BLOCKS[version];
+    const blocks = [];
+    let offset = 0;
+    groups.forEach(([count, size]) => {
+        for (let i = 0; i < count; i++) {
+            const data = codewords.slice(offset, offset + size);
+            offset += size;
+            blocks.push({ data, ec: getErrorCorrection(data, ecCount) });
+        }
+    });
+
+    const result = [];
+    const longest = Math.max(...blocks.map(block => block.data.length));
+    for (let i = 0; i < longest; i++) {
+        blocks.forEach(block => {
+            if (i < block.data.length) result.push(block.data[i]);
+        });
+    }
+    for (let i = 0; i < ecCount; i++) {
+        blocks.forEach(block => result.push(block.ec[i]));
+    }
+    return result;
+}
+
+// BCH-protected format (15 bits) and version (18 bits) information
+function getFormatBits(mask) {
+    const data = mask; // level M is 00
+    let remainder = data;
+    for (let i = 0; i < 10; i++) {
+        remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    return ((data << 10) | remainder) ^ 0x5412;
+}
+
+function getVersionBits(version) {
+    let remainder = version;
+    for (let i = 0; i < 12; i++) {
+        remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    }
+    return (version << 12) | remainder;
+}
+
+const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+// Module grid with the function patterns drawn and reserved
+function createGrid(version) {
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+    const set = (x, y, dark) => {
+        modules[y][x] = dark;
+        reserved[y][x] = true;
+    };
+
+    // Finder patterns with their separators
+    [[0, 0], [size - 7, 0], [0, size - 7]].forEach(([left, top]) => {
+        for (let dy = -1; dy <= 7; dy++) {
+            for (let dx = -1; dx <= 7; dx++) {
+                const x = left + dx;
+                const y = top + dy;
+                if (x < 0 || y < 0 || x >= size || y >= size) continue;
+                const ring = Math.max(Math.abs(dx - 3), Math.abs(dy - 3));
+                set(x, y, ring !== 2 && ring !== 4);
+            }
+        }
+    });
+
+    // Timing patterns
+    for (let i = 8; i < size - 8; i++) {
+        set(i, 6, i % 2 === 0);
+        set(6, i, i % 2 === 0);
+    }
+
+    // Alignment patterns, except where they would overlap a finder
+    const positions = ALIGNMENT_POSITIONS[version];
+    const last = positions.length - 1;
+    positions.forEach((cy, i) => {
+        positions.forEach((cx, j) => {
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        });
+    });
+
+    // Version information (versions 7 and up)
+    if (version >= 7) {
+        const bits = getVersionBits(version);
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) === 1;
+            const a = size - 11 + (i % 3);
+            const b = Math.floor(i / 3);
+            set(a, b, dark);
+            set(b, a, dark);
+        }
+    }
+
+    // Reserve the format areas; they are filled in once the mask is chosen
+    drawFormatBits({ modules, reserved, set, size }, 0);
+
+    return { modules, reserved, set, size };
+}
+
+function drawFormatBits({ set, size }, mask) {
+    const bits = getFormatBits(mask);
+    const bit = i => ((bits >>> i) & 1) === 1;
+
+    for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+    set(8, 7, bit(6));
+    set(8, 8, bit(7));
+    set(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+
+    for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+    set(8, size - 8, true);
+}
+
+// Place codewords in the two-column zigzag, skipping function patterns
+function drawCodewords({ modules, reserved, size }, codewords) {
+    let index = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) right = 5;
+        const upward = ((right + 1) & 2) === 0;
+        for (let vertical = 0; vertical < size; vertical++) {
+            const y = upward ? size - 1 - vertical : vertical;
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                if (reserved[y][x] || index >= codewords.length * 8) continue;
+                modules[y][x] = ((codewords[index >>> 3] >>> (7 - (index & 7))) & 1) === 1;
+                index++;
+            }
+        }
+    }
+}
+
+function applyMask({ modules, reserved, size }, mask) {
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (!reserved[y][x] && MASKS[mask](x, y)) {
+                modules[y][x] = !modules[y][x];
+            }
+        }
+    }
+}
+
+// Penalty score used to pick the mask that is easiest to scan
+function getPenalty(modules) {
+    const size = modules.length;
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+        lines.push(modules[i].map(Number).join(''));
+        lines.push(modules.map(row => Number(row[i])).join(''));
+    }
+
+    let penalty = 0;
+    lines.forEach(line => {
+        (line.match(/0{5,}|1{5,}/g) || []).forEach(run => {
+            penalty += run.length - 2;
+        });
+        penalty += 40 * (line.match(/(?=(00001011101|10111010000))/g) || []).length;
+    });
+
+    let dark = 0;
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (modules[y][x]) dark++;
+            if (x < size - 1 && y < size - 1) {
+                const value = modules[y][x];
+                if (modules[y][x + 1] === value && modules[y + 1][x] === value && modules[y + 1][x + 1] === value) {
+                    penalty += 3;
+                }
+            }
+        }
+    }
+    penalty += 10 * Math.floor(Math.abs(dark * 20 - size * size * 10) / (size * size));
+
+    return penalty;
+}
+
+// Module matrix (rows of booleans, true = dark) for the text, or null when
+// it is too long to encode
+export function encodeQrCode(text) {
+    const encoded = encodeData([...new TextEncoder().encode(text)]);
+    if (!encoded) return null;
+
+    const codewords = addErrorCorrection(encoded.version, encoded.codewords);
+
+    let best = null;
+    MASKS.forEach((_, mask) => {
+        const grid = createGrid(encoded.version);
+        drawCodewords(grid, codewords);
+        applyMask(grid, mask);
+        drawFormatBits(grid, mask);
+
+        const penalty = getPenalty(grid.modules);
+        if (!best || penalty < best.penalty) {
+            best = { modules: grid.modules, penalty };
+        }
+    });
+    return best.modules;
+}
+
+// QR code for the text as an SVG element, or null when it is too long
+export function createQrCodeSvg(text, { label } = {}) {
+    const modules = encodeQrCode(text);
+    if (!modules) return null;
+
+    const size = modules.length + QUIET_ZONE * 2;
+    let path = '';
+    modules.forEach((row, y) => {
+        row.forEach((dark, x) => {
+            if (dark) path += `M${x + QUIET_ZONE} ${y + QUIET_ZONE}h1v1h-1z`;
+        });
+    });
+
+    const svgNs = 'http://www.w3.org/2000/svg';
+    const svg = document.createElementNS(svgNs, 'svg');
+    svg.setAttribute('viewBox', `0 0 ${size} ${size}`);
+    svg.setAttribute('shape-rendering', 'crispEdges');
+    if (label) {
+        svg.setAttribute('role', 'img');
+        svg.setAttribute('aria-label', label);
+    } else {
+        svg.setAttribute('aria-hidden', 'true');
+    }
+
+    const background = document.createElementNS(svgNs, 'rect');
+    background.setAttribute('width', String(size));
+    background.setAttribute('height', String(size));
+    background.setAttribute('fill', '#fff');
+    svg.appendChild(background);
+
+    const foreground = document.createElementNS(svgNs, 'path');
+    foreground.setAttribute('d', path);
+    foreground.setAttribute('fill', '#000');
+    svg.appendChild(foreground);
+
+    return svg;
+}
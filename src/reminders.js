@@ -0,0 +1,183 @@
+// Event reminders saved in localStorage, going off a set number of minutes
+// before their event starts; reminders follow their event when a later fetch
+// moves it. Where the browser supports Notification Triggers, the service
+// worker schedules them as notifications that arrive with the tab closed.
+// Elsewhere, and as a fallback, a timer in the page fires them while the app
+// is open in a tab.
+
+import { readSetting, writeSetting } from './storage.js';
+
+const STORAGE_KEY = 'reminders';
+
+// setTimeout delays are limited to about 24.8 days
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+export const REMINDER_OFFSETS = [
+    { minutes: 15, labelKey: 'reminders.before15' },
+    { minutes: 60, labelKey: 'reminders.before60' }
+];
+
+// Saved reminders: { id, title, venue, start (ISO string), minutesBefore }
+let reminders = readSetting(STORAGE_KEY, []).filter(reminder => reminder && reminder.id && reminder.start);
+let timer = null;
+
+function save() {
+    writeSetting(STORAGE_KEY, reminders);
+}
+
+// When a reminder goes off
+export function getReminderTime(reminder) {
+    return new Date(new Date(reminder.start).getTime() - reminder.minutesBefore * 60 * 1000);
+}
+
+// Saved reminders, soonest first
+export function getReminders() {
+    return [...reminders].sort((a, b) => getReminderTime(a) - getReminderTime(b));
+}
+
+// The reminder for an event, or null
+export function getReminder(event) {
+    return reminders.find(reminder => reminder.id === String(event.id)) || null;
+}
+
+// Whether a reminder can still be set, i.e. the event has not started
+export function canRemind(event, now = new Date()) {
+    return Boolean(event.start) && event.start > now;
+}
+
+// Set (or change) the reminder for an event
+export function setReminder(event, minutesBefore) {
+    cancelReminder(event.id);
+    reminders.push({
+        id: String(event.id),
+        title: event.title,
+        venue: event.venue,
+        start: event.start.toISOString(),
+        minutesBefore
+    });
+    save();
+}
+
+export function cancelReminder(eventId) {
+    const id = String(eventId);
+    const count = reminders.length;
+    reminders = reminders.filter(reminder => reminder.id !== id);
+    if (reminders.length !== count) save();
+}
+
+// Move reminders whose event now starts at a different time. Events missing
+// from the fetch keep their reminder. Returns the reminders that moved.
+export function rescheduleReminders(events) {
+    const byId = new Map(events.map(event => [String(event.id), event]));
+    const moved = [];
+
+    reminders.forEach(reminder => {
+        const event = byId.get(reminder.id);
+        if (!event || !event.start) return;
+
+        reminder.title = event.title;
+        reminder.venue = event.venue;
+        const start = event.start.toISOString();
+        if (start !== reminder.start) {
+            reminder.start = start;
+            moved.push(reminder);
+        }
+    });
+
+    save();
+    return moved;
+}
+
+// Start (or restart) the timer. `onDue` is called once for each reminder
+// that goes off; reminders for events that already started while the app
+// was closed are dropped without firing.
+export function scheduleReminders(onDue) {
+    clearTimeout(timer);
+
+    const now = new Date();
+    const due = reminders.filter(reminder => getReminderTime(reminder) <= now);
+    if (due.length > 0) {
+        reminders = reminders.filter(reminder => !due.includes(reminder));
+        save();
+        due.filter(reminder => new Date(reminder.start) > now).forEach(onDue);
+    }
+
+    if (reminders.length === 0) return;
+    const next = Math.min(...reminders.map(reminder => getReminderTime(reminder).getTime()));
+    timer = setTimeout(() => scheduleReminders(onDue), Math.min(next - now.getTime(), MAX_TIMEOUT));
+}
+
+// Ask for permission to show notifications. Resolves to true when granted.
+export async function requestNotificationPermission() {
+    if (!('Notification' in window)) return false;
+    if (Notification.permission !== 'default') return Notification.permission === 'granted';
+
+    try {
+        return (await Notification.requestPermission()) === 'granted';
+    } catch (error) {
+        return false;
+    }
+}
+
+// Whether reminders can show system notifications (otherwise the page shows
+// its own toast)
+export function canNotify() {
+    return 'Notification' in window && Notification.permission === 'granted' && 'serviceWorker' in navigator;
+}
+
+// Notification tag of an event's reminder. Scheduled and page-fired
+// notifications share it, so one replaces the other rather than doubling up.
+function getReminderTag(url) {
+    return `reminder:${url}`;
+}
+
+// Whether the browser can schedule notifications ahead (Notification
+// Triggers), so reminders go off while the app is closed
+export function canScheduleNotifications() {
+    return canNotify() && 'showTrigger' in Notification.prototype && 'TimestampTrigger' in window;
+}
+
+// Hand the saved reminders to the service worker to schedule, replacing what
+// it scheduled before. `getNotification(reminder)` gives { title, body, url }.
+// Resolves to false when scheduling is not supported; the page timer still
+// runs either way.
+export async function scheduleReminderNotifications(getNotification) {
+    if (!canScheduleNotifications()) return false;
+
+    try {
+        const registration = await navigator.serviceWorker.getRegistration();
+        if (!registration?.active) return false;
+        registration.active.postMessage({
+            type: 'schedule-reminders',
+            reminders: reminders.map(reminder => {
+                const { title, body, url } = getNotification(reminder);
+                return { title, body, url, tag: getReminderTag(url), time: getReminderTime(reminder).getTime() };
+            })
+        });
+        return true;
+    } catch (error) {
+        console.warn('Could not schedule notifications:', error);
+        return false;
+    }
+}
+
+// Show a notification through the service worker. Resolves to false when
+// that is not possible, so the caller can fall back to a toast.
+export async function showReminderNotification(title, { body, url }) {
+    if (!canNotify()) return false;
+
+    try {
+        const registration = await navigator.serviceWorker.getRegistration();
+        if (!registration) return false;
+        await registration.showNotification(title, {
+            body,
+            tag: getReminderTag(url),
+            icon: `${import.meta.env.BASE_URL}icon.svg`,
+            data: { url }
+        });
+        return true;
+    } catch (error) {
+        console.warn('Could not show notification:', error);
+        return false;
+    }
+}
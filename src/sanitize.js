@@ -0,0 +1,125 @@
+// Escaping and sanitizing for content that comes from the CMS (or whatever
+// the proxy returns). Markup is built with the `html` template tag, which
+// escapes every interpolated value unless it is already safe HTML.
+
+import { CMS_ORIGIN } from './dataSource.js';
+
+// Hosts that event links and images may point to (subdomains included)
+const TRUSTED_HOSTS = ['kochimuzirisbiennale.org', new URL(CMS_ORIGIN).hostname];
+
+// Markup that has been escaped or built from trusted strings
+class SafeHtml {
+    constructor(value) {
+        this.value = value;
+    }
+
+    toString() {
+        return this.value;
+    }
+}
+
+// Escape text for use in HTML content and quoted attributes
+export function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Mark a string of markup as safe. Only for markup built by our own code.
+export function rawHtml(value) {
+    return new SafeHtml(value);
+}
+
+function toHtml(value) {
+    if (value instanceof SafeHtml) return value.value;
+    if (Array.isArray(value)) return value.map(toHtml).join('');
+    if (value === null || value === undefined || value === false) return '';
+    return escapeHtml(value);
+}
+
+// Template tag: html`<p>${text}</p>` escapes `text`. Nested html`` results,
+// arrays of them and rawHtml() values are inserted as they are; null,
+// undefined and false insert nothing.
+export function html(strings, ...values) {
+    let result = strings[0];
+    values.forEach((value, index) => {
+        result += toHtml(value) + strings[index + 1];
+    });
+    return new SafeHtml(result);
+}
+
+function isAllowedHost(hostname, hosts) {
+    const host = hostname.toLowerCase();
+    return hosts.some(allowed => host === allowed || host.endsWith(`.${allowed}`));
+}
+
+// The URL as an absolute href when it uses an allowed protocol and host, or
+// null. Relative URLs resolve against `base`. Hosts match with their
+// subdomains; pass `hosts: null` to allow any host.
+export function sanitizeUrl(value, { base, protocols = ['https:', 'http:'], hosts = TRUSTED_HOSTS } = {}) {
+    if (typeof value !== 'string' || !value.trim()) return null;
+
+    let url;
+    try {
+        url = base ? new URL(value.trim(), base) : new URL(value.trim());
+    } catch {
+        return null;
+    }
+
+    if (!protocols.includes(url.protocol)) return null;
+    if (url.username || url.password) return null;
+    if (hosts && url.protocol !== 'mailto:' && !isAllowedHost(url.hostname, hosts)) return null;
+    return url.href;
+}
+
+// Tags kept by sanitizeRichText. All attributes are dropped except a
+// sanitized href on links.
+const ALLOWED_TAGS = ['p', 'br', 'strong', 'b', 'em', 'i', 'u', 's', 'h2', 'h3', 'h4', 'ul', 'ol', 'li', 'blockquote', 'a'];
+
+// Tags removed together with their content; anything else not allowed is
+// unwrapped and its text kept
+const DROPPED_TAGS = ['script', 'style', 'iframe', 'object', 'embed', 'template', 'noscript', 'svg', 'math', 'head', 'title'];
+
+// Sanitize rich-text HTML against an allowlist of tags and attributes.
+// Returns a DocumentFragment; `classes` maps tag names to class names to add.
+export function sanitizeRichText(markup, { classes = {} } = {}) {
+    // Parsing into a template keeps scripts and images inert
+    const template = document.createElement('template');
+    template.innerHTML = String(markup ?? '');
+
+    const fragment = document.createDocumentFragment();
+    template.content.childNodes.forEach(node => appendSanitized(fragment, node, classes));
+    return fragment;
+}
+
+function appendSanitized(parent, node, classes) {
+    if (node.nodeType === Node.TEXT_NODE) {
+        parent.appendChild(document.createTextNode(node.textContent));
+        return;
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+    const tag = node.tagName.toLowerCase();
+    if (DROPPED_TAGS.includes(tag)) return;
+
+    let target = parent;
+    if (ALLOWED_TAGS.includes(tag)) {
+        target = document.createElement(tag);
+        if (classes[tag]) target.className = classes[tag];
+
+        if (tag === 'a') {
+            const href = sanitizeUrl(node.getAttribute('href'), { protocols: ['https:', 'http:', 'mailto:'], hosts: null });
+            if (href) {
+                target.href = href;
+                target.target = '_blank';
+                target.rel = 'noopener noreferrer';
+            }
+        }
+        parent.appendChild(target);
+    }
+
+    node.childNodes.forEach(child => appendSanitized(target, child, classes));
+}
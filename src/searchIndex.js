@@ -0,0 +1,210 @@
+// In-browser full-text search over events: diacritic folding, prefix and
+// fuzzy (typo tolerant) matching, and field weights so a title hit ranks
+// above a description hit.
+
+import { escapeHtml, rawHtml } from './sanitize.js';
+
+// Field weights; a match in a heavier field scores higher
+const FIELDS = [
+    { name: 'title', weight: 5, get: event => event.title },
+    { name: 'venue', weight: 3, get: event => event.venue },
+    { name: 'eventType', weight: 3, get: event => event.eventType },
+    { name: 'category', weight: 3, get: event => event.category },
+    { name: 'shortDescription', weight: 1, get: event => event.shortDescription },
+    { name: 'description', weight: 0.5, get: event => getPlainText(event.description) }
+];
+
+// Match quality multipliers
+const EXACT = 1;
+const PREFIX = 0.8;
+const FUZZY_ONE_EDIT = 0.6;
+const FUZZY_TWO_EDITS = 0.4;
+
+// Other spellings of local place names, folded to one form so either finds both
+const SPELLINGS = {
+    cochin: 'kochi',
+    kochin: 'kochi',
+    mattanchery: 'mattancherry',
+    alleppey: 'alappuzha',
+    alapuzha: 'alappuzha',
+    trivandrum: 'thiruvananthapuram',
+    calicut: 'kozhikode',
+    trichur: 'thrissur',
+    cranganore: 'kodungallur',
+    kodungalloor: 'kodungallur',
+    ernakulum: 'ernakulam',
+    vypin: 'vypeen',
+    vaipin: 'vypeen'
+};
+
+// Lowercase and strip accents ("Café" -> "cafe")
+export function foldText(text) {
+    return String(text || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase();
+}
+
+// Canonical search form of a single word
+export function normalizeToken(word) {
+    const folded = foldText(word);
+    return SPELLINGS[folded] || folded;
+}
+
+// Split text into normalized tokens. Letters and digits in any script count
+// as word characters, so Malayalam text is indexed too.
+export function tokenize(text) {
+    return (foldText(text).match(/[\p{L}\p{M}\p{N}]+/gu) || []).map(normalizeToken);
+}
+
+// Plain text of a Lexical rich text value (or a plain string)
+export function getPlainText(value) {
+    if (!value) return '';
+    if (typeof value === 'string') return value;
+
+    const parts = [];
+    const walk = node => {
+        if (!node || typeof node !== 'object') return;
+        if (typeof node.text === 'string') parts.push(node.text);
+        (node.children || []).forEach(walk);
+    };
+    walk(value.root || value);
+    return parts.join(' ');
+}
+
+// Damerau-Levenshtein (optimal string alignment) distance, giving up once it
+// exceeds `max`
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let previousPrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, previousPrevious[j - 2] + 1);
+            }
+            current[j] = value;
+            rowMin = Math.min(rowMin, value);
+        }
+        if (rowMin > max) return max + 1;
+        previousPrevious = previous;
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+// Edits allowed for a query token of this length
+function maxEdits(token) {
+    if (token.length >= 7) return 2;
+    if (token.length >= 4) return 1;
+    return 0;
+}
+
+// Build a search index over a list of events
+export function createSearchIndex(events) {
+    // token -> Map(event index -> summed field weight)
+    const postings = new Map();
+
+    events.forEach((event, index) => {
+        FIELDS.forEach(field => {
+            new Set(tokenize(field.get(event))).forEach(token => {
+                if (!postings.has(token)) postings.set(token, new Map());
+                const docs = postings.get(token);
+                docs.set(index, (docs.get(index) || 0) + field.weight);
+            });
+        });
+    });
+
+    const vocabulary = Array.from(postings.keys());
+
+    // Index tokens matching one query token, with their match quality
+    function expandToken(queryToken) {
+        const matches = new Map();
+        const edits = maxEdits(queryToken);
+
+        vocabulary.forEach(token => {
+            let quality = 0;
+            if (token === queryToken) {
+                quality = EXACT;
+            } else if (token.startsWith(queryToken)) {
+                quality = PREFIX;
+            } else if (edits > 0) {
+                // Also compare against the same-length prefix, so typos in a
+                // partly typed word still match
+                const distance = Math.min(
+                    editDistance(queryToken, token, edits),
+                    editDistance(queryToken, token.slice(0, queryToken.length), edits)
+                );
+                if (distance === 1) quality = FUZZY_ONE_EDIT;
+                else if (distance === 2 && edits >= 2) quality = FUZZY_TWO_EDITS;
+            }
+            if (quality > 0) matches.set(token, quality);
+        });
+
+        return matches;
+    }
+
+    // Search for a query. Every query word must match. Returns
+    // [{ event, score, terms }] best first, where `terms` are the matched
+    // index tokens, or null when the query has no words to search for.
+    function search(query) {
+        const queryTokens = Array.from(new Set(tokenize(query)));
+        if (queryTokens.length === 0) return null;
+
+        let scores = null;
+        const terms = new Map();
+
+        for (const queryToken of queryTokens) {
+            const tokenScores = new Map();
+            expandToken(queryToken).forEach((quality, token) => {
+                postings.get(token).forEach((weight, index) => {
+                    tokenScores.set(index, Math.max(tokenScores.get(index) || 0, quality * weight));
+                    if (!terms.has(index)) terms.set(index, new Set());
+                    terms.get(index).add(token);
+                });
+            });
+
+            // Keep only events that matched all query words so far
+            if (scores === null) {
+                scores = tokenScores;
+            } else {
+                const combined = new Map();
+                scores.forEach((score, index) => {
+                    if (tokenScores.has(index)) combined.set(index, score + tokenScores.get(index));
+                });
+                scores = combined;
+            }
+            if (scores.size === 0) return [];
+        }
+
+        return Array.from(scores.entries())
+            .map(([index, score]) => ({ event: events[index], score, terms: terms.get(index) }))
+            .sort((a, b) => b.score - a.score);
+    }
+
+    return { search };
+}
+
+// Escape text for HTML, wrapping words whose normalized form is in `terms`
+// in <mark>. Returns safe HTML for the html`` template tag.
+export function highlightText(text, terms) {
+    const value = String(text ?? '');
+    if (!terms || terms.size === 0) return rawHtml(escapeHtml(value));
+
+    let html = '';
+    let lastIndex = 0;
+    for (const match of value.matchAll(/[\p{L}\p{M}\p{N}]+/gu)) {
+        if (!terms.has(normalizeToken(match[0]))) continue;
+        html += escapeHtml(value.slice(lastIndex, match.index));
+        html += `<mark class="bg-yellow-200 text-inherit rounded-sm">${escapeHtml(match[0])}</mark>`;
+        lastIndex = match.index + match[0].length;
+    }
+    return rawHtml(html + escapeHtml(value.slice(lastIndex)));
+}
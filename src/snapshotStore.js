@@ -0,0 +1,76 @@
+// IndexedDB storage for the last successfully fetched event payload.
+// Lets the app show the programme straight away (and offline) before
+// the network request completes.
+
+const DB_NAME = 'biennale-events';
+const DB_VERSION = 1;
+const STORE_NAME = 'snapshots';
+
+let dbPromise = null;
+
+// Open (and upgrade if needed) the database, reusing a single connection
+function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        if (!('indexedDB' in window)) {
+            reject(new Error('IndexedDB is not supported'));
+            return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(STORE_NAME)) {
+                db.createObjectStore(STORE_NAME);
+            }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    // Allow a later call to retry if opening failed
+    dbPromise.catch(() => {
+        dbPromise = null;
+    });
+
+    return dbPromise;
+}
+
+// Run a single request against the snapshot store
+async function withStore(mode, callback) {
+    const db = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const request = callback(transaction.objectStore(STORE_NAME));
+
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+// Load the cached snapshot: { docs, savedAt } or null when nothing is stored.
+// Snapshots are keyed by data source so fixture data never replaces real data.
+export async function loadSnapshot(key) {
+    const snapshot = await withStore('readonly', store => store.get(key));
+    if (!snapshot || !Array.isArray(snapshot.docs)) return null;
+
+    return {
+        docs: snapshot.docs,
+        savedAt: new Date(snapshot.savedAt)
+    };
+}
+
+// Replace the cached snapshot with a fresh API payload
+export async function saveSnapshot(key, docs) {
+    const savedAt = new Date();
+    await withStore('readwrite', store => store.put({
+        docs,
+        savedAt: savedAt.toISOString()
+    }, key));
+    return savedAt;
+}
@@ -0,0 +1,100 @@
+// Sort orders and groupings for the list and grid views.
+
+import { getEventTimeRange } from './eventUtils.js';
+import { formatDayKey, getDayKey } from './timeZone.js';
+import { getLocale, t } from './i18n.js';
+
+// 'relevance' ranks search results by match quality and otherwise keeps
+// date order
+export const SORT_OPTIONS = [
+    { key: 'relevance', labelKey: 'sort.relevance' },
+    { key: 'dateAsc', labelKey: 'sort.dateAsc' },
+    { key: 'dateDesc', labelKey: 'sort.dateDesc' },
+    { key: 'title', labelKey: 'sort.title' },
+    { key: 'venue', labelKey: 'sort.venue' },
+    { key: 'duration', labelKey: 'sort.duration' },
+    { key: 'endingSoon', labelKey: 'sort.endingSoon' }
+];
+
+export const GROUP_OPTIONS = [
+    { key: 'none', labelKey: 'group.none' },
+    { key: 'day', labelKey: 'group.day' },
+    { key: 'venue', labelKey: 'group.venue' },
+    { key: 'category', labelKey: 'group.category' },
+    { key: 'eventType', labelKey: 'group.eventType' }
+];
+
+const byStart = (a, b) => a.start - b.start;
+
+// Compare text A–Z in the current language, with missing values last
+function compareText(a, b) {
+    if (!a || !b) return (!a) - (!b);
+    return a.localeCompare(b, getLocale(), { sensitivity: 'base', numeric: true });
+}
+
+function getDuration(event) {
+    const range = getEventTimeRange(event);
+    return range.end - range.start;
+}
+
+const COMPARATORS = {
+    relevance: byStart,
+    dateAsc: byStart,
+    dateDesc: (a, b) => b.start - a.start,
+    title: (a, b) => compareText(a.title, b.title) || byStart(a, b),
+    venue: (a, b) => compareText(a.venue, b.venue) || byStart(a, b),
+    duration: (a, b) => getDuration(a) - getDuration(b) || byStart(a, b)
+};
+
+// Sorted copy of the events. "Ending soonest" puts events that are still
+// running or upcoming first, by end time, and finished ones last.
+export function sortEvents(events, sortKey, now = new Date()) {
+    if (sortKey === 'endingSoon') {
+        const end = event => getEventTimeRange(event).end;
+        return [...events].sort((a, b) => (end(a) < now) - (end(b) < now) || end(a) - end(b) || byStart(a, b));
+    }
+    return [...events].sort(COMPARATORS[sortKey] || byStart);
+}
+
+const GROUPERS = {
+    day: {
+        getKey: event => getDayKey(event.start),
+        getLabel: key => formatDayKey(key, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' }),
+        compare: (a, b) => a.localeCompare(b)
+    },
+    venue: {
+        getKey: event => event.venue || '',
+        getLabel: key => key || t('event.venueTba'),
+        compare: compareText
+    },
+    category: {
+        getKey: event => event.category || '',
+        getLabel: key => key || t('group.noCategory'),
+        compare: compareText
+    },
+    eventType: {
+        getKey: event => event.eventType || '',
+        getLabel: key => key || t('event.defaultType'),
+        compare: compareText
+    }
+};
+
+// Split sorted events into [{ key, label, events }] sections. Days run in
+// the direction of the sort; venues, categories and types are A–Z. Events
+// keep their sorted order within a section. Returns null for 'none'.
+export function groupEvents(events, groupKey, sortKey) {
+    const grouper = GROUPERS[groupKey];
+    if (!grouper) return null;
+
+    const groups = new Map();
+    events.forEach(event => {
+        const key = grouper.getKey(event);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(event);
+    });
+
+    const keys = Array.from(groups.keys()).sort(grouper.compare);
+    if (groupKey === 'day' && sortKey === 'dateDesc') keys.reverse();
+
+    return keys.map(key => ({ key, label: grouper.getLabel(key), events: groups.get(key) }));
+}
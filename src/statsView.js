@@ -0,0 +1,261 @@
+// Programme statistics for planning: summary figures, events per day, and
+// the busiest venues, event types, categories and times of day. Charts are
+// inline SVG and follow the filtered events; choosing a bar applies its
+// value as a filter (see `onSelect`).
+
+import { MIN_DATE } from './eventData.js';
+import { eventOverlapsRange, getEventTimeRange } from './eventUtils.js';
+import { FACETS } from './facets.js';
+import { getTimeOfDay, TIMES_OF_DAY } from './timePresets.js';
+import { addDays, daysBetween, endOfDay, formatDayKey, getDayKey, startOfDay } from './timeZone.js';
+import { t } from './i18n.js';
+import { html } from './sanitize.js';
+
+// Most days shown in the per-day chart, counted from the first
+const MAX_DAYS = 180;
+
+// Most bars in a breakdown; the rest are summed up below it
+const MAX_BARS = 10;
+
+// Per-day chart geometry, in SVG units
+const DAY_WIDTH = 10;
+const DAY_GAP = 2;
+const CHART_HEIGHT = 100;
+
+// Facets shown as breakdowns, in order
+const BREAKDOWNS = ['venue', 'eventType', 'category'];
+
+// First and last day keys to chart: the days the events run on, within the
+// selected date range and not before MIN_DATE
+function getDayRange(events, filters) {
+    const ranges = events.map(getEventTimeRange).filter(Boolean);
+    if (ranges.length === 0) return null;
+
+    let startKey = getDayKey(new Date(Math.max(Math.min(...ranges.map(range => range.start)), MIN_DATE)));
+    let endKey = getDayKey(new Date(Math.max(...ranges.map(range => range.end)) - 1));
+    if (filters.dateFrom && filters.dateFrom > startKey) startKey = filters.dateFrom;
+    if (filters.dateTo && filters.dateTo < endKey) endKey = filters.dateTo;
+    if (endKey < startKey) return null;
+
+    if (daysBetween(startKey, endKey) >= MAX_DAYS) {
+        endKey = addDays(startKey, MAX_DAYS - 1);
+    }
+    return { startKey, endKey };
+}
+
+// Number of events running on each day: [{ key, count }]
+export function getDayCounts(events, filters) {
+    const range = getDayRange(events, filters);
+    if (!range) return [];
+
+    const days = [];
+    for (let key = range.startKey; key <= range.endKey; key = addDays(key, 1)) {
+        const start = startOfDay(key);
+        const end = endOfDay(key);
+        days.push({ key, count: events.filter(event => eventOverlapsRange(event, start, end)).length });
+    }
+    return days;
+}
+
+// Events per value of `getValue`, busiest first: [{ value, count }]. Events
+// without a value are counted under null.
+export function countBy(events, getValue) {
+    const counts = new Map();
+    events.forEach(event => {
+        const value = getValue(event) || null;
+        counts.set(value, (counts.get(value) || 0) + 1);
+    });
+    return Array.from(counts, ([value, count]) => ({ value, count }))
+        .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+}
+
+// Summary tile
+function createTile(label, value, detail) {
+    const tile = document.createElement('div');
+    tile.className = 'bg-white rounded-lg shadow-sm p-3 sm:p-4';
+    tile.innerHTML = html`
+        <dt class="text-xs sm:text-sm text-gray-600">${label}</dt>
+        <dd class="mt-1 text-xl sm:text-2xl font-semibold text-gray-900">${value}</dd>
+        ${detail ? html`<dd class="text-xs text-gray-500">${detail}</dd>` : ''}
+    `;
+    return tile;
+}
+
+function createSection(title) {
+    const section = document.createElement('section');
+    section.className = 'bg-white rounded-lg shadow-sm p-3 sm:p-4 lg:p-6';
+    const heading = document.createElement('h2');
+    heading.className = 'text-sm sm:text-base font-semibold text-gray-900 mb-3';
+    heading.textContent = title;
+    section.appendChild(heading);
+    return section;
+}
+
+// Per-day histogram: one SVG with a bar per day. The bars are a single tab
+// stop; arrow keys move between days.
+function createDayChart(days, filters, onSelect) {
+    const section = createSection(t('stats.perDay'));
+    const max = Math.max(...days.map(day => day.count), 1);
+    const width = days.length * DAY_WIDTH;
+    const selectedKey = filters.dateFrom && filters.dateFrom === filters.dateTo ? filters.dateFrom : null;
+
+    const bars = days.map((day, index) => {
+        const height = day.count > 0 ? Math.max((day.count / max) * CHART_HEIGHT, 2) : 0;
+        const label = t('stats.dayBar', { date: formatDayKey(day.key, { weekday: 'short', month: 'short', day: 'numeric' }), count: day.count });
+        const selected = day.key === selectedKey;
+        return html`
+            <g role="button" data-stat="day:${day.key}" data-index="${index}" tabindex="-1" aria-pressed="${String(selected)}" aria-label="${label}" class="stats-bar cursor-pointer">
+                <title>${label}</title>
+                <rect x="${index * DAY_WIDTH}" y="0" width="${DAY_WIDTH}" height="${CHART_HEIGHT}" class="fill-transparent"></rect>
+                <rect x="${index * DAY_WIDTH + DAY_GAP / 2}" y="${CHART_HEIGHT - height}" width="${DAY_WIDTH - DAY_GAP}" height="${height}" class="${selected ? 'fill-blue-700' : 'fill-blue-400 hover:fill-blue-600'}"></rect>
+            </g>
+        `;
+    });
+
+    const chart = document.createElement('div');
+    chart.innerHTML = html`
+        <div class="flex items-stretch gap-2">
+            <div class="flex flex-col justify-between text-xs text-gray-500 text-right" aria-hidden="true">
+                <span>${max}</span>
+                <span>0</span>
+            </div>
+            <svg role="group" aria-label="${t('stats.perDay')}" viewBox="0 0 ${width} ${CHART_HEIGHT}" preserveAspectRatio="none" class="flex-1 h-32 sm:h-40 border-b border-l border-gray-200 overflow-visible">${bars}</svg>
+        </div>
+        <div class="flex justify-between mt-1 text-xs text-gray-500" aria-hidden="true">
+            <span>${formatDayKey(days[0].key, { month: 'short', day: 'numeric' })}</span>
+            <span>${formatDayKey(days[days.length - 1].key, { month: 'short', day: 'numeric' })}</span>
+        </div>
+    `;
+
+    const svg = chart.querySelector('svg');
+    const items = Array.from(svg.querySelectorAll('[data-stat]'));
+    const focusIndex = Math.max(days.findIndex(day => day.key === selectedKey), 0);
+    items[focusIndex].setAttribute('tabindex', '0');
+
+    svg.addEventListener('click', (event) => {
+        const bar = event.target.closest('[data-stat]');
+        if (bar) onSelect({ kind: 'day', value: days[bar.dataset.index].key, id: bar.dataset.stat });
+    });
+    svg.addEventListener('keydown', (event) => {
+        const bar = event.target.closest('[data-stat]');
+        if (!bar) return;
+        const index = Number(bar.dataset.index);
+
+        if (event.key === 'Enter' || event.key === ' ') {
+            event.preventDefault();
+            onSelect({ kind: 'day', value: days[index].key, id: bar.dataset.stat });
+            return;
+        }
+
+        const moves = { ArrowLeft: index - 1, ArrowRight: index + 1, Home: 0, End: items.length - 1 };
+        if (!(event.key in moves)) return;
+        event.preventDefault();
+        items[Math.min(Math.max(moves[event.key], 0), items.length - 1)].focus();
+    });
+    // Keep the tab stop on the last focused bar
+    svg.addEventListener('focusin', (event) => {
+        items.forEach(item => item.setAttribute('tabindex', item === event.target ? '0' : '-1'));
+    });
+
+    section.appendChild(chart);
+    return section;
+}
+
+// Horizontal bar chart: a button per value with its count. `rows` are
+// { value, label, count, selected }; rows without a value can't be chosen.
+function createBarChart(title, rows, kind, total, onSelect) {
+    const section = createSection(title);
+    const max = Math.max(...rows.map(row => row.count), 1);
+
+    const list = document.createElement('ul');
+    list.setAttribute('role', 'list');
+    list.className = 'flex flex-col gap-1';
+
+    rows.slice(0, MAX_BARS).forEach(row => {
+        const percent = (row.count / max) * 100;
+        const share = Math.round((row.count / total) * 100);
+        const item = document.createElement('li');
+        item.innerHTML = html`
+            <button type="button" data-stat="${kind}:${row.value ?? ''}" aria-pressed="${String(row.selected)}" ${row.value === null ? 'disabled' : ''} class="w-full grid grid-cols-[minmax(0,10rem)_1fr_auto] sm:grid-cols-[minmax(0,14rem)_1fr_auto] items-center gap-2 sm:gap-3 px-2 py-1.5 rounded-md text-left text-xs sm:text-sm touch-manipulation ${row.selected ? 'bg-blue-50 text-blue-900 font-medium' : 'text-gray-700 enabled:hover:bg-gray-50'}">
+                <span class="truncate">${row.label}</span>
+                <svg viewBox="0 0 100 10" preserveAspectRatio="none" class="w-full h-3" aria-hidden="true">
+                    <rect width="100" height="10" rx="1" class="fill-gray-100"></rect>
+                    <rect width="${percent}" height="10" rx="1" class="${row.selected ? 'fill-blue-700' : 'fill-blue-400'}"></rect>
+                </svg>
+                <span class="tabular-nums text-gray-600">${row.count} <span class="text-gray-400">(${share}%)</span></span>
+            </button>
+        `;
+        if (row.value !== null) {
+            item.querySelector('button').addEventListener('click', (event) => {
+                onSelect({ kind, value: row.value, id: event.currentTarget.dataset.stat });
+            });
+        }
+        list.appendChild(item);
+    });
+    section.appendChild(list);
+
+    if (rows.length > MAX_BARS) {
+        const rest = rows.slice(MAX_BARS);
+        const more = document.createElement('p');
+        more.className = 'mt-2 text-xs text-gray-500';
+        more.textContent = t('stats.more', { count: rest.length, events: rest.reduce((sum, row) => sum + row.count, 0) });
+        section.appendChild(more);
+    }
+    return section;
+}
+
+// Create the statistics view for `events` (the filtered events) out of
+// `totalCount`. onSelect({ kind, value, id }) is called when a bar is chosen:
+// kind is 'day', 'timeOfDay' or a facet key, and `id` is the bar's
+// data-stat attribute, for restoring focus after re-rendering.
+export function createStatsView({ events, totalCount, filters, onSelect }) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'flex flex-col gap-3 sm:gap-4';
+
+    const days = getDayCounts(events, filters);
+    const activeDays = days.filter(day => day.count > 0).length;
+    const venues = new Set(events.map(event => event.venue).filter(Boolean)).size;
+    const times = countBy(events, getTimeOfDay);
+    const evening = times.find(row => row.value === 'evening')?.count || 0;
+
+    const summary = document.createElement('dl');
+    summary.className = 'grid grid-cols-2 lg:grid-cols-4 gap-3 sm:gap-4';
+    summary.appendChild(createTile(t('stats.events'), events.length, t('stats.ofTotal', { total: totalCount })));
+    summary.appendChild(createTile(t('stats.days'), activeDays, days.length > 0
+        ? t('stats.busiestDay', { count: Math.max(...days.map(day => day.count)) })
+        : null));
+    summary.appendChild(createTile(t('stats.venues'), venues));
+    summary.appendChild(createTile(t('stats.evening'), `${Math.round((evening / events.length) * 100)}%`,
+        t('stats.eveningDetail', { evening, daytime: events.length - evening })));
+    wrapper.appendChild(summary);
+
+    if (days.length > 0) {
+        wrapper.appendChild(createDayChart(days, filters, onSelect));
+    }
+
+    const charts = document.createElement('div');
+    charts.className = 'grid grid-cols-1 lg:grid-cols-2 gap-3 sm:gap-4';
+
+    BREAKDOWNS.forEach(key => {
+        const facet = FACETS.find(item => item.key === key);
+        const rows = countBy(events, facet.getValue).map(({ value, count }) => ({
+            value,
+            label: value ?? (key === 'venue' ? t('event.venueTba') : t('stats.notSet')),
+            count,
+            selected: value !== null && filters[key].includes(value)
+        }));
+        charts.appendChild(createBarChart(t(`stats.by.${key}`), rows, key, events.length, onSelect));
+    });
+
+    // Times of day in order through the day, rather than by count
+    const timeRows = TIMES_OF_DAY.map(time => ({
+        value: time.key,
+        label: t(time.labelKey),
+        count: times.find(row => row.value === time.key)?.count || 0,
+        selected: filters.timeOfDay.includes(time.key)
+    }));
+    charts.appendChild(createBarChart(t('stats.by.timeOfDay'), timeRows, 'timeOfDay', events.length, onSelect));
+
+    wrapper.appendChild(charts);
+    return wrapper;
+}
@@ -0,0 +1,23 @@
+// Small wrapper around localStorage for persisted UI preferences.
+// Values are stored as JSON; storage errors (private mode, quota) are ignored.
+
+const PREFIX = 'biennale:';
+
+// Read a stored value, or the fallback when missing or unreadable
+export function readSetting(key, fallback) {
+    try {
+        const raw = localStorage.getItem(PREFIX + key);
+        return raw === null ? fallback : JSON.parse(raw);
+    } catch (error) {
+        return fallback;
+    }
+}
+
+// Store a value for later visits
+export function writeSetting(key, value) {
+    try {
+        localStorage.setItem(PREFIX + key, JSON.stringify(value));
+    } catch (error) {
+        console.warn(`Could not save setting "${key}":`, error);
+    }
+}
@@ -0,0 +1,68 @@
+// Quick date presets and time-of-day filters, worked out in the active time
+// zone (see timeZone.js)
+
+import { getEventTimeRange } from './eventUtils.js';
+import { addDays, getDayKey, getWeekday, getZonedParts } from './timeZone.js';
+
+// Date presets shown as buttons; 'now' is a separate filter, the others set
+// the date range
+export const TIME_PRESETS = [
+    { key: 'now', labelKey: 'presets.now' },
+    { key: 'today', labelKey: 'presets.today' },
+    { key: 'tomorrow', labelKey: 'presets.tomorrow' },
+    { key: 'weekend', labelKey: 'presets.weekend' }
+];
+
+// Time-of-day buckets by start hour: [from, to)
+export const TIMES_OF_DAY = [
+    { key: 'morning', labelKey: 'timeOfDay.morning', from: 0, to: 12 },
+    { key: 'afternoon', labelKey: 'timeOfDay.afternoon', from: 12, to: 17 },
+    { key: 'evening', labelKey: 'timeOfDay.evening', from: 17, to: 24 }
+];
+
+// Date range { dateFrom, dateTo } as day keys for a preset
+export function getPresetRange(preset, now = new Date()) {
+    const today = getDayKey(now);
+
+    if (preset === 'tomorrow') {
+        const tomorrow = addDays(today, 1);
+        return { dateFrom: tomorrow, dateTo: tomorrow };
+    }
+
+    if (preset === 'weekend') {
+        // Saturday and Sunday of this week; on a Sunday just today
+        const weekday = getWeekday(today);
+        if (weekday === 0) return { dateFrom: today, dateTo: today };
+        const saturday = addDays(today, 6 - weekday);
+        return { dateFrom: saturday, dateTo: addDays(saturday, 1) };
+    }
+
+    return { dateFrom: today, dateTo: today };
+}
+
+// Preset matching a date range, or null
+export function getActivePreset(dateFrom, dateTo, now = new Date()) {
+    if (!dateFrom || !dateTo) return null;
+
+    const match = TIME_PRESETS.find(({ key }) => {
+        if (key === 'now') return false;
+        const range = getPresetRange(key, now);
+        return range.dateFrom === dateFrom && range.dateTo === dateTo;
+    });
+    return match ? match.key : null;
+}
+
+// Time-of-day bucket an event starts in, or null without a date
+export function getTimeOfDay(event) {
+    const range = getEventTimeRange(event);
+    if (!range) return null;
+
+    const { hour } = getZonedParts(range.start);
+    return TIMES_OF_DAY.find(({ from, to }) => hour >= from && hour < to).key;
+}
+
+// Whether an event is running at a moment
+export function isHappeningAt(event, now = new Date()) {
+    const range = getEventTimeRange(event);
+    return !!range && range.start <= now && range.end > now;
+}
@@ -0,0 +1,128 @@
+// Time zone handling. Event times and day boundaries are shown in the
+// festival's time zone (IST) so visitors whose phones are still on their home
+// time zone see the right times and days. Users can opt into their own zone.
+
+import { readSetting, writeSetting } from './storage.js';
+import { getLocale } from './i18n.js';
+
+export const EVENT_TIME_ZONE = 'Asia/Kolkata';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let useLocalTimeZone = readSetting('useLocalTimeZone', false);
+
+// The viewer's own time zone
+export function getLocalTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+// Time zone used for display and day boundaries
+export function getTimeZone() {
+    return useLocalTimeZone ? getLocalTimeZone() : EVENT_TIME_ZONE;
+}
+
+export function isUsingLocalTimeZone() {
+    return useLocalTimeZone;
+}
+
+export function setUseLocalTimeZone(enabled) {
+    useLocalTimeZone = enabled;
+    writeSetting('useLocalTimeZone', enabled);
+}
+
+// Format a date in the active time zone and the UI language
+export function formatInTimeZone(date, options) {
+    return new Date(date).toLocaleString(getLocale(), { ...options, timeZone: getTimeZone() });
+}
+
+// Calendar fields of a date in the active time zone
+export function getZonedParts(date) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: getTimeZone(),
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric'
+    }).formatToParts(new Date(date)).forEach(({ type, value }) => {
+        parts[type] = Number(value);
+    });
+    return {
+        year: parts.year,
+        month: parts.month,
+        day: parts.day,
+        hour: parts.hour,
+        minute: parts.minute
+    };
+}
+
+// Calendar day of a date in the active time zone, e.g. "2025-12-14"
+export function getDayKey(date) {
+    const { year, month, day } = getZonedParts(date);
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// Split a day key into numbers
+function parseDayKey(key) {
+    const [year, month, day] = key.split('-').map(Number);
+    return { year, month, day };
+}
+
+// Day key a number of days after (or before) another
+export function addDays(key, days) {
+    const { year, month, day } = parseDayKey(key);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+// Day of the week of a day key, 0 = Sunday
+export function getWeekday(key) {
+    const { year, month, day } = parseDayKey(key);
+    return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+// Instant at which a day key starts (midnight) in the active time zone
+export function startOfDay(key) {
+    const { year, month, day } = parseDayKey(key);
+    const utcMidnight = Date.UTC(year, month - 1, day);
+
+    // Shift by the zone's offset; check again in case the offset changes
+    // (daylight saving) between the two instants
+    let result = utcMidnight - getOffset(utcMidnight);
+    result = utcMidnight - getOffset(result);
+    return new Date(result);
+}
+
+// Last millisecond of a day key in the active time zone
+export function endOfDay(key) {
+    return new Date(startOfDay(addDays(key, 1)).getTime() - 1);
+}
+
+// Offset of the active time zone from UTC at an instant, in milliseconds
+function getOffset(time) {
+    const { year, month, day, hour, minute } = getZonedParts(time);
+    const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+    return asUtc - Math.floor(time / 60000) * 60000;
+}
+
+// Format a day key (a calendar date, independent of time zone)
+export function formatDayKey(key, options) {
+    const { year, month, day } = parseDayKey(key);
+    return new Date(Date.UTC(year, month - 1, day)).toLocaleDateString(getLocale(), { ...options, timeZone: 'UTC' });
+}
+
+// Number of whole days between two day keys
+export function daysBetween(fromKey, toKey) {
+    const from = parseDayKey(fromKey);
+    const to = parseDayKey(toKey);
+    return Math.round((Date.UTC(to.year, to.month - 1, to.day) - Date.UTC(from.year, from.month - 1, from.day)) / DAY_MS);
+}
+
+// Short label for a time zone, e.g. "GMT+5:30"
+export function getTimeZoneLabel(timeZone) {
+    const part = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' })
+        .formatToParts(new Date())
+        .find(({ type }) => type === 'timeZoneName');
+    return part ? part.value : timeZone;
+}
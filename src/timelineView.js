@@ -0,0 +1,263 @@
+// Gantt-style timeline: one row per venue, time along the horizontal axis.
+// Single-day events are blocks at their time; multi-day events span from
+// start to end.
+
+import { getEventTimeRange } from './eventUtils.js';
+import { getEventRoute } from './eventDetail.js';
+import { addDays, formatDayKey, formatInTimeZone, getDayKey, startOfDay } from './timeZone.js';
+import { t } from './i18n.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const TIMELINE_ZOOMS = ['day', 'week', 'season'];
+
+// Track width in pixels per zoom level; the view scrolls horizontally
+const TRACK_WIDTHS = {
+    day: 1440,
+    week: 1400,
+    season: 1600
+};
+
+// Events with a usable time range, paired with that range
+function getRanges(events) {
+    return events
+        .map(event => ({ event, range: getEventTimeRange(event) }))
+        .filter(({ range }) => range);
+}
+
+// Visible period { start, end, startKey, endKey } for a zoom level: instants
+// plus the first and last day keys shown. Day and week periods start on the
+// `anchor` day key; the season period covers every event.
+export function getTimelinePeriod(events, zoom, anchor) {
+    let startKey = anchor;
+    let endKey = addDays(anchor, zoom === 'week' ? 6 : 0);
+
+    if (zoom === 'season') {
+        const ranges = getRanges(events);
+        if (ranges.length > 0) {
+            startKey = getDayKey(new Date(Math.min(...ranges.map(({ range }) => range.start))));
+            endKey = getDayKey(new Date(Math.max(...ranges.map(({ range }) => range.end))));
+        }
+    }
+
+    return {
+        start: startOfDay(startKey),
+        end: startOfDay(addDays(endKey, 1)),
+        startKey,
+        endKey
+    };
+}
+
+// Day key to open the timeline on: today if an event runs then, otherwise
+// the day the first event starts
+export function getInitialAnchor(events, today = new Date()) {
+    const todayKey = getDayKey(today);
+    const ranges = getRanges(events);
+    if (ranges.length === 0) return todayKey;
+
+    const runsToday = ranges.some(({ range }) => range.start < startOfDay(addDays(todayKey, 1)) && range.end > startOfDay(todayKey));
+    if (runsToday) return todayKey;
+
+    return getDayKey(new Date(Math.min(...ranges.map(({ range }) => range.start))));
+}
+
+// Move the anchor one period forwards or backwards
+export function shiftAnchor(anchor, zoom, direction) {
+    return addDays(anchor, (zoom === 'day' ? 1 : 7) * direction);
+}
+
+// Axis ticks { date, label } for a period
+function getTicks(period, zoom) {
+    const ticks = [];
+
+    if (zoom === 'day') {
+        for (let hour = 0; hour < 24; hour += 2) {
+            const date = new Date(period.start.getTime() + hour * HOUR_MS);
+            ticks.push({ date, label: formatInTimeZone(date, { hour: 'numeric' }) });
+        }
+    } else if (zoom === 'week') {
+        for (let key = period.startKey; key <= period.endKey; key = addDays(key, 1)) {
+            ticks.push({ date: startOfDay(key), label: formatDayKey(key, { weekday: 'short', month: 'short', day: 'numeric' }) });
+        }
+    } else {
+        // Label the start of the season, then the first of each month
+        if (!period.startKey.endsWith('-01')) {
+            ticks.push({ date: period.start, label: formatDayKey(period.startKey, { month: 'short', day: 'numeric' }) });
+        }
+        for (let key = period.startKey; key <= period.endKey; key = addDays(key, 1)) {
+            if (key.endsWith('-01')) {
+                ticks.push({ date: startOfDay(key), label: formatDayKey(key, { month: 'short', year: 'numeric' }) });
+            }
+        }
+    }
+
+    return ticks;
+}
+
+// Events grouped into venue rows: [{ venue, items: [{ event, range }] }]
+function getVenueRows(events, period) {
+    const rows = new Map();
+
+    getRanges(events).forEach(item => {
+        if (item.range.end <= period.start || item.range.start >= period.end) return;
+
+        const venue = item.event.venue || t('event.venueTba');
+        if (!rows.has(venue)) rows.set(venue, []);
+        rows.get(venue).push(item);
+    });
+
+    return Array.from(rows.entries())
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([venue, items]) => ({ venue, items: items.sort((a, b) => a.range.start - b.range.start) }));
+}
+
+// Stack overlapping items into lanes so blocks in a row do not cover each other
+function assignLanes(items) {
+    const laneEnds = [];
+    return items.map(item => {
+        let lane = laneEnds.findIndex(end => end <= item.range.start);
+        if (lane === -1) {
+            lane = laneEnds.length;
+            laneEnds.push(item.range.end);
+        } else {
+            laneEnds[lane] = item.range.end;
+        }
+        return { ...item, lane };
+    });
+}
+
+function formatRange(range) {
+    const options = { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' };
+    return `${formatInTimeZone(range.start, options)} – ${formatInTimeZone(range.end, options)}`;
+}
+
+function createButton(text, label, onClick, pressed) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = text;
+    if (label) button.setAttribute('aria-label', label);
+    if (pressed !== undefined) button.setAttribute('aria-pressed', String(pressed));
+    button.className = pressed
+        ? 'px-3 py-2 text-xs sm:text-sm font-medium bg-blue-600 text-white rounded-md touch-manipulation'
+        : 'px-3 py-2 text-xs sm:text-sm font-medium bg-white text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 active:bg-gray-100 transition-colors touch-manipulation';
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+// Create the timeline view
+export function createTimeline({ events, zoom, anchor, onChangeZoom, onChangeAnchor }) {
+    const period = getTimelinePeriod(events, zoom, anchor);
+    const span = period.end - period.start;
+    const toPercent = date => ((Math.min(Math.max(date, period.start), period.end) - period.start) / span) * 100;
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'bg-white rounded-lg shadow-sm p-3 sm:p-4 lg:p-6';
+
+    // Controls: zoom level and previous/next period
+    const controls = document.createElement('div');
+    controls.className = 'flex flex-wrap items-center justify-between gap-2 mb-3 sm:mb-4';
+
+    const zoomGroup = document.createElement('div');
+    zoomGroup.className = 'flex items-center gap-1';
+    zoomGroup.setAttribute('role', 'group');
+    zoomGroup.setAttribute('aria-label', t('timeline.zoom'));
+    TIMELINE_ZOOMS.forEach(value => {
+        zoomGroup.appendChild(createButton(t(`timeline.${value}`), null, () => onChangeZoom(value), value === zoom));
+    });
+    controls.appendChild(zoomGroup);
+
+    const title = document.createElement('h2');
+    title.className = 'text-sm sm:text-base font-semibold text-gray-900';
+    title.textContent = zoom === 'day'
+        ? formatDayKey(period.startKey, { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' })
+        : `${formatDayKey(period.startKey, { month: 'short', day: 'numeric', year: 'numeric' })} – ${formatDayKey(period.endKey, { month: 'short', day: 'numeric', year: 'numeric' })}`;
+
+    if (zoom === 'season') {
+        controls.appendChild(title);
+    } else {
+        const nav = document.createElement('div');
+        nav.className = 'flex items-center gap-2';
+        nav.appendChild(createButton('‹', t(zoom === 'day' ? 'timeline.previousDay' : 'timeline.previousWeek'), () => onChangeAnchor(shiftAnchor(anchor, zoom, -1))));
+        nav.appendChild(title);
+        nav.appendChild(createButton('›', t(zoom === 'day' ? 'timeline.nextDay' : 'timeline.nextWeek'), () => onChangeAnchor(shiftAnchor(anchor, zoom, 1))));
+        controls.appendChild(nav);
+    }
+    wrapper.appendChild(controls);
+
+    const rows = getVenueRows(events, period);
+    if (rows.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'text-center py-8 text-sm sm:text-base text-gray-500';
+        empty.textContent = t('timeline.empty');
+        wrapper.appendChild(empty);
+        return wrapper;
+    }
+
+    const scroller = document.createElement('div');
+    scroller.className = 'overflow-x-auto';
+
+    const table = document.createElement('div');
+    table.style.minWidth = `calc(10rem + ${TRACK_WIDTHS[zoom]}px)`;
+
+    // Axis
+    const axis = document.createElement('div');
+    axis.className = 'flex border-b border-gray-200';
+    axis.appendChild(Object.assign(document.createElement('div'), {
+        className: 'w-40 flex-shrink-0 sticky left-0 bg-white z-[1]'
+    }));
+    const axisTrack = document.createElement('div');
+    axisTrack.className = 'relative flex-1 h-8';
+    getTicks(period, zoom).forEach(tick => {
+        const label = document.createElement('span');
+        label.className = 'absolute top-0 h-full pl-1 border-l border-gray-200 text-xs text-gray-500 whitespace-nowrap';
+        label.style.left = `${toPercent(tick.date)}%`;
+        label.textContent = tick.label;
+        axisTrack.appendChild(label);
+    });
+    axis.appendChild(axisTrack);
+    table.appendChild(axis);
+
+    // One row per venue
+    rows.forEach(({ venue, items }) => {
+        const laid = assignLanes(items);
+        const laneCount = Math.max(...laid.map(item => item.lane)) + 1;
+
+        const row = document.createElement('div');
+        row.className = 'flex border-b border-gray-100';
+
+        const venueCell = document.createElement('div');
+        venueCell.className = 'w-40 flex-shrink-0 sticky left-0 bg-white z-[1] py-2 pr-2 text-xs sm:text-sm font-medium text-gray-700';
+        venueCell.textContent = venue;
+        row.appendChild(venueCell);
+
+        const track = document.createElement('div');
+        track.className = 'relative flex-1';
+        track.style.height = `${laneCount * 2.25 + 0.5}rem`;
+
+        laid.forEach(({ event, range, lane }) => {
+            const left = toPercent(range.start);
+            const width = Math.max(toPercent(range.end) - left, 0.5);
+
+            const block = document.createElement('a');
+            block.href = getEventRoute(event);
+            block.className = range.multiDay
+                ? 'absolute h-8 px-2 flex items-center rounded bg-blue-100 text-blue-900 border border-blue-200 text-xs truncate hover:bg-blue-200'
+                : 'absolute h-8 px-2 flex items-center rounded bg-blue-600 text-white text-xs truncate hover:bg-blue-700';
+            block.style.left = `${left}%`;
+            block.style.width = `${width}%`;
+            block.style.minWidth = '1.5rem';
+            block.style.top = `${lane * 2.25 + 0.25}rem`;
+            block.title = `${event.title || t('event.untitled')}\n${formatRange(range)}`;
+            block.textContent = event.title || t('event.untitled');
+            block.setAttribute('aria-label', `${event.title || t('event.untitled')}, ${formatRange(range)}`);
+            track.appendChild(block);
+        });
+
+        row.appendChild(track);
+        table.appendChild(row);
+    });
+
+    scroller.appendChild(table);
+    wrapper.appendChild(scroller);
+    return wrapper;
+}
@@ -0,0 +1,45 @@
+// Short in-page messages shown in the corner of the screen, announced to
+// screen readers through the #toasts live region.
+
+import { t } from './i18n.js';
+
+const DEFAULT_DURATION = 10000;
+
+function el(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+}
+
+// Show a message with an optional link. Toasts close by themselves after
+// `duration` ms (0 keeps them until dismissed).
+export function showToast(message, { title, href, linkLabel, duration = DEFAULT_DURATION } = {}) {
+    const region = document.getElementById('toasts');
+    if (!region) return;
+
+    const toast = el('div', 'pointer-events-auto w-full sm:w-80 bg-gray-900 text-white rounded-lg shadow-lg p-3 sm:p-4 flex items-start gap-3');
+    const content = el('div', 'flex-1 min-w-0 text-sm');
+    if (title) {
+        content.appendChild(el('p', 'font-semibold', title));
+    }
+    content.appendChild(el('p', 'text-gray-200', message));
+    if (href) {
+        const link = el('a', 'inline-block mt-1 text-blue-300 hover:text-blue-200 font-medium', linkLabel);
+        link.href = href;
+        content.appendChild(link);
+    }
+    toast.appendChild(content);
+
+    const close = () => toast.remove();
+    const dismiss = el('button', 'text-gray-300 hover:text-white text-lg leading-none touch-manipulation', '×');
+    dismiss.type = 'button';
+    dismiss.setAttribute('aria-label', t('toast.dismiss'));
+    dismiss.addEventListener('click', close);
+    toast.appendChild(dismiss);
+
+    region.appendChild(toast);
+    if (duration > 0) {
+        setTimeout(close, duration);
+    }
+}
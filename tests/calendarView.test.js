@@ -0,0 +1,20 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { groupEventsByDay } from '../src/calendarView.js';
+
+const at = value => new Date(`${value}+05:30`);
+
+test('groupEventsByDay: multi-day events are listed on every day they run', () => {
+    const exhibition = { id: 1, start: at('2025-12-12T10:00:00'), end: at('2025-12-15T18:00:00') };
+    const talk = { id: 2, start: at('2025-12-13T18:00:00') };
+    const days = groupEventsByDay([exhibition, talk]);
+
+    assert.deepEqual(Array.from(days.keys()), ['2025-12-12', '2025-12-13', '2025-12-14', '2025-12-15']);
+    assert.deepEqual(days.get('2025-12-13').map(event => event.id), [1, 2]);
+    assert.deepEqual(days.get('2025-12-14').map(event => event.id), [1]);
+});
+
+test('groupEventsByDay: an event ending at midnight is not on the next day', () => {
+    const night = { id: 1, start: at('2025-12-20T20:00:00'), end: at('2025-12-21T00:00:00') };
+    assert.deepEqual(Array.from(groupEventsByDay([night]).keys()), ['2025-12-20']);
+});
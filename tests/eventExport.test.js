@@ -0,0 +1,56 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { buildCsv, buildMarkdown } from '../src/eventExport.js';
+
+const header = {
+    title: 'All events',
+    filters: ['Venue: Aspinwall House', 'Evening'],
+    link: 'https://example.org/?venue=Aspinwall+House',
+    count: 1,
+    exportedAt: new Date('2025-12-12T04:30:00Z')
+};
+
+const event = {
+    id: 1,
+    title: 'Talk: "Art, water\nand memory"',
+    eventType: 'Talk',
+    category: '=SUM(A1)',
+    venue: 'Aspinwall House, Fort Kochi',
+    start: new Date('2025-12-12T18:30:00+05:30'),
+    end: null,
+    url: 'https://example.org/events/1'
+};
+
+// Rows of a CSV file, split on the CRLF row ends outside quoted fields
+function parseRows(csv) {
+    return csv.replace(/^\uFEFF/, '').replace(/\r\n$/, '').split(/\r\n(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+}
+
+test('buildCsv: starts with quoted header rows, then a blank row and the columns', () => {
+    const csv = buildCsv([event], header);
+    assert.ok(csv.startsWith('\uFEFF'));
+
+    const rows = parseRows(csv);
+    const blank = rows.indexOf('');
+    assert.ok(blank > 0);
+    rows.slice(0, blank).forEach(row => assert.match(row, /^".*"$/));
+    assert.match(rows[0], /All events/);
+    assert.ok(rows.some(row => row.includes('Venue: Aspinwall House, Evening')));
+    assert.ok(rows.some(row => row.includes(header.link)));
+    assert.equal(rows[blank + 1], 'Title,Type,Category,Venue,Start (IST),End (IST),Link');
+});
+
+test('buildCsv: quotes commas, quotes and newlines, and defuses formulas', () => {
+    const rows = parseRows(buildCsv([event], header));
+    assert.equal(
+        rows[rows.length - 1],
+        '"Talk: ""Art, water\nand memory""",Talk,\'=SUM(A1),"Aspinwall House, Fort Kochi",2025-12-12 18:30,,https://example.org/events/1'
+    );
+});
+
+test('buildMarkdown: a "|" in a link does not split the table row', () => {
+    const markdown = buildMarkdown([{ ...event, url: 'https://example.org/events?a=1|2' }], header);
+    const row = markdown.trim().split('\n').pop();
+    assert.ok(row.endsWith('| <https://example.org/events?a=1%7C2> |'));
+    assert.equal(row.match(/(?<!\\)\|/g).length, 8);
+});
@@ -0,0 +1,32 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { getRunStatus } from '../src/eventUtils.js';
+
+// A three-month exhibition
+const exhibition = {
+    start: new Date('2025-12-12T10:00:00+05:30'),
+    end: new Date('2026-03-31T18:00:00+05:30')
+};
+
+const day = (key, time = '00:00:00') => new Date(`${key}T${time}+05:30`);
+
+test('getRunStatus: no range or a single-day event has no status', () => {
+    assert.equal(getRunStatus(exhibition, null, null), null);
+    assert.equal(getRunStatus({ start: day('2026-01-10', '18:00:00') }, day('2026-01-10'), null), null);
+});
+
+test('getRunStatus: with a full range', () => {
+    assert.equal(getRunStatus(exhibition, day('2025-12-01'), day('2025-12-20')), 'opening');
+    assert.equal(getRunStatus(exhibition, day('2026-03-20'), day('2026-04-10')), 'closing');
+    assert.equal(getRunStatus(exhibition, day('2026-01-10'), day('2026-01-11')), 'ongoing');
+});
+
+test('getRunStatus: with only dateFrom', () => {
+    assert.equal(getRunStatus(exhibition, day('2025-12-01'), null), 'opening');
+    assert.equal(getRunStatus(exhibition, day('2026-01-10'), null), 'ongoing');
+});
+
+test('getRunStatus: with only dateTo an earlier opening is not "opening"', () => {
+    assert.equal(getRunStatus(exhibition, null, day('2026-01-10', '23:59:59')), 'ongoing');
+    assert.equal(getRunStatus(exhibition, null, day('2026-04-10', '23:59:59')), 'closing');
+});
@@ -0,0 +1,46 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { buildFilterSearch, createEmptyFilters, filtersEqual, readFiltersFromUrl } from '../src/filterUrl.js';
+
+const filters = {
+    ...createEmptyFilters(),
+    search: 'kochi & art',
+    venue: ['Aspinwall House', 'Pepper House'],
+    eventType: ['Talk'],
+    dateFrom: '2025-12-20',
+    dateTo: '2025-12-21',
+    timeOfDay: ['evening'],
+    now: '1'
+};
+
+test('filterUrl: filters survive a serialize/parse round trip', () => {
+    const search = buildFilterSearch(filters, '');
+    assert.deepEqual(readFiltersFromUrl(search), filters);
+});
+
+test('filterUrl: multi-select filters are repeated parameters', () => {
+    const params = new URLSearchParams(buildFilterSearch(filters, ''));
+    assert.deepEqual(params.getAll('venue'), ['Aspinwall House', 'Pepper House']);
+    assert.equal(params.get('q'), 'kochi & art');
+});
+
+test('filterUrl: empty filters give an empty query and missing parameters read as empty', () => {
+    assert.equal(buildFilterSearch(createEmptyFilters(), ''), '');
+    assert.deepEqual(readFiltersFromUrl(''), createEmptyFilters());
+    assert.deepEqual(readFiltersFromUrl('?venue=&q=').venue, []);
+});
+
+test('filterUrl: unrelated parameters are kept and old filters replaced', () => {
+    const search = buildFilterSearch({ ...createEmptyFilters(), category: ['Music'] }, '?debug=1&venue=Old&q=old');
+    const params = new URLSearchParams(search);
+    assert.equal(params.get('debug'), '1');
+    assert.equal(params.get('venue'), null);
+    assert.equal(params.get('q'), null);
+    assert.equal(params.get('category'), 'Music');
+});
+
+test('filterUrl: filtersEqual ignores the order of selected values', () => {
+    const reordered = { ...filters, venue: ['Pepper House', 'Aspinwall House'] };
+    assert.ok(filtersEqual(filters, reordered));
+    assert.ok(!filtersEqual(filters, { ...filters, dateTo: '' }));
+});
@@ -0,0 +1,103 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { normalizeEvents } from '../src/normalizeEvents.js';
+
+// A doc as the CMS sends it, with overrides
+function doc(overrides = {}) {
+    return {
+        id: 1,
+        title: '  Opening night ',
+        shortDescription: 'Music and talks',
+        description: { root: { children: [] } },
+        eventType: { title: 'Performance' },
+        categories: [{ title: 'Music' }],
+        entryDetails: { id: 'x', venue: { place: 'Aspinwall House', address: 'Fort Kochi' }, entryFee: 'Free' },
+        thumbnail: { url: '/media/opening.jpg' },
+        redirectURL: { redirectTo: 'https://www.kochimuzirisbiennale.org/events/opening' },
+        timeAndDate: { singleDayEvent: true, date: '2025-12-12T13:00:00.000Z' },
+        updatedAt: '2025-12-01T00:00:00.000Z',
+        ...overrides
+    };
+}
+
+const reasons = list => list.map(item => item.reason);
+
+test('normalizeEvents: a complete doc becomes the event model', () => {
+    const { events, report } = normalizeEvents([doc()]);
+    assert.equal(report.kept, 1);
+    const [event] = events;
+    assert.equal(event.id, '1');
+    assert.equal(event.title, 'Opening night');
+    assert.equal(event.eventType, 'Performance');
+    assert.equal(event.category, 'Music');
+    assert.equal(event.venue, 'Aspinwall House');
+    assert.equal(event.venueAddress, 'Fort Kochi');
+    assert.deepEqual(event.entryDetails, { entryFee: 'Free' });
+    assert.equal(event.imageUrl, 'https://admin.kochimuzirisbiennale.org/media/opening.jpg');
+    assert.equal(event.start.toISOString(), '2025-12-12T13:00:00.000Z');
+    assert.equal(event.end, null);
+});
+
+test('normalizeEvents: drop reasons', () => {
+    const { events, report } = normalizeEvents([
+        null,
+        doc({ id: null }),
+        doc({ id: 2 }),
+        doc({ id: 2 }),
+        doc({ id: 3, timeAndDate: null }),
+        doc({ id: 4, timeAndDate: { singleDayEvent: true } }),
+        doc({ id: 5, timeAndDate: { singleDayEvent: true, date: 'soon' } }),
+        doc({ id: 6, timeAndDate: { singleDayEvent: true, date: '2025-11-01T10:00:00.000Z' } })
+    ], { minDate: new Date('2025-12-12T00:00:00+05:30') });
+
+    assert.deepEqual(events.map(event => event.id), ['2']);
+    assert.deepEqual(reasons(report.dropped), [
+        'Not an object',
+        'No id',
+        'Duplicate id',
+        'No time and date',
+        'No date',
+        'Unreadable date "soon"',
+        'Ended before Dec 12, 2025'
+    ]);
+    assert.equal(report.total, 8);
+    assert.equal(report.kept, 1);
+});
+
+test('normalizeEvents: repairs keep the event and say why', () => {
+    const { events, report } = normalizeEvents([
+        doc({ id: 1, title: '', categories: [{ title: 'Music' }, { title: 'Talk' }] }),
+        doc({ id: 2, timeAndDate: { singleDayEvent: false, date: '2025-12-12T13:00:00.000Z' } }),
+        doc({ id: 3, timeAndDate: { singleDayEvent: false, startDate: '2025-12-12T13:00:00.000Z', endDate: '2025-12-11T13:00:00.000Z' } }),
+        doc({ id: 4, thumbnail: { url: 'https://evil.example/x.jpg' }, redirectURL: { redirectTo: 'javascript:alert(1)' } })
+    ]);
+
+    assert.equal(events.length, 4);
+    assert.deepEqual(reasons(report.repaired), [
+        'categories has 2 values; only the first is used',
+        'No title',
+        'Multi-day event has no startDate; used date',
+        'End date is not after the start; ignored',
+        'Image "https://evil.example/x.jpg" is not on a trusted domain; dropped',
+        'Link "javascript:alert(1)" is not an http(s) link on a Biennale domain; dropped'
+    ]);
+    assert.equal(events[2].end, null);
+    assert.equal(events[3].imageUrl, null);
+    assert.equal(events[3].url, null);
+});
+
+test('normalizeEvents: unexpected shapes and missing fields are reported', () => {
+    const { events, report } = normalizeEvents([
+        doc({ eventType: 7, entryDetails: { venue: 'v1' }, description: 42, thumbnail: undefined })
+    ]);
+
+    assert.equal(events[0].eventType, null);
+    assert.equal(events[0].venue, null);
+    assert.deepEqual(reasons(report.unknownShapes), [
+        'description is a number',
+        'eventType is a number (relationship not populated?)',
+        'entryDetails.venue is a string (relationship not populated?)'
+    ]);
+    assert.deepEqual(reasons(report.missingImages), ['No usable image']);
+    assert.deepEqual(reasons(report.missingVenues), ['No venue']);
+});
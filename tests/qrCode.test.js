@@ -0,0 +1,62 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import jsQR from 'jsqr';
+import { encodeQrCode } from '../src/qrCode.js';
+
+// Decode a module matrix with an independent reader, drawn at 4px per
+// module with a 4-module quiet zone
+function decode(modules) {
+    const scale = 4;
+    const width = (modules.length + 8) * scale;
+    const pixels = new Uint8ClampedArray(width * width * 4).fill(255);
+    modules.forEach((row, y) => row.forEach((dark, x) => {
+        if (!dark) return;
+        for (let dy = 0; dy < scale; dy++) {
+            for (let dx = 0; dx < scale; dx++) {
+                const offset = (((y + 4) * scale + dy) * width + (x + 4) * scale + dx) * 4;
+                pixels.fill(0, offset, offset + 3);
+            }
+        }
+    }));
+    return jsQR(pixels, width, width)?.data ?? null;
+}
+
+test('qrCode: an event link decodes back to the same text', () => {
+    const url = 'https://www.kochimuzirisbiennale.org/events/opening-night';
+    assert.equal(decode(encodeQrCode(url)), url);
+});
+
+test('qrCode: non-ASCII text is encoded as UTF-8 bytes', () => {
+    const text = 'കഥകളി · Café';
+    assert.equal(decode(encodeQrCode(text)), text);
+});
+
+test('qrCode: the version grows with the text and every version decodes', () => {
+    const sizes = [10, 30, 60, 100, 150, 213].map(length => {
+        const text = 'x'.repeat(length);
+        const modules = encodeQrCode(text);
+        assert.equal(decode(modules), text);
+        assert.ok(modules.every(row => row.length === modules.length));
+        return modules.length;
+    });
+    assert.deepEqual(sizes, [...sizes].sort((a, b) => a - b));
+    assert.equal(sizes[0], 21);
+    assert.equal(sizes[sizes.length - 1], 57);
+});
+
+test('qrCode: finder patterns sit in three corners', () => {
+    const modules = encodeQrCode('https://example.org/');
+    const size = modules.length;
+    for (const [left, top] of [[0, 0], [size - 7, 0], [0, size - 7]]) {
+        for (let dy = 0; dy < 7; dy++) {
+            for (let dx = 0; dx < 7; dx++) {
+                const ring = Math.max(Math.abs(dx - 3), Math.abs(dy - 3));
+                assert.equal(modules[top + dy][left + dx], ring !== 2, `finder at ${left},${top}`);
+            }
+        }
+    }
+});
+
+test('qrCode: text longer than version 10 holds gives null', () => {
+    assert.equal(encodeQrCode('x'.repeat(214)), null);
+});
@@ -0,0 +1,60 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { createSearchIndex, foldText, getPlainText, highlightText, tokenize } from '../src/searchIndex.js';
+
+const events = [
+    { id: 'title', title: 'Sculpture walk', venue: 'Aspinwall House', description: 'A guided tour' },
+    { id: 'description', title: 'Evening programme', venue: 'Pepper House', description: 'Talk about sculpture and water' },
+    { id: 'cafe', title: 'Café concert', venue: 'Cochin Club', eventType: 'Music' },
+    { id: 'malayalam', title: 'കഥകളി', venue: 'Durbar Hall' }
+];
+
+const index = createSearchIndex(events);
+const ids = query => index.search(query).map(result => result.event.id);
+
+test('searchIndex: tokens are folded, split on any script and respell place names', () => {
+    assert.equal(foldText('Café'), 'cafe');
+    assert.deepEqual(tokenize('Fort Cochin — Café!'), ['fort', 'kochi', 'cafe']);
+    assert.deepEqual(tokenize('കഥകളി 2025'), ['കഥകളി', '2025']);
+});
+
+test('searchIndex: a title match ranks above a description match', () => {
+    assert.deepEqual(ids('sculpture'), ['title', 'description']);
+});
+
+test('searchIndex: prefixes, accents and typos match', () => {
+    assert.deepEqual(ids('sculp'), ['title', 'description']);
+    assert.deepEqual(ids('cafe'), ['cafe']);
+    assert.deepEqual(ids('sculptrue'), ['title', 'description']);
+    assert.deepEqual(ids('kochi'), ['cafe']);
+    assert.deepEqual(ids('കഥകളി'), ['malayalam']);
+});
+
+test('searchIndex: short words get no typo tolerance, longer ones one edit', () => {
+    assert.deepEqual(ids('tak'), []);
+    assert.deepEqual(ids('tou'), ['title']);
+    // "talk" is one edit from "walk"; that title hit outweighs the exact
+    // match in a description
+    assert.deepEqual(ids('talk'), ['title', 'description']);
+});
+
+test('searchIndex: every query word must match', () => {
+    assert.deepEqual(ids('sculpture water'), ['description']);
+    assert.deepEqual(ids('sculpture nowhere'), []);
+    assert.equal(index.search('  — '), null);
+});
+
+test('searchIndex: matched terms are reported for highlighting', () => {
+    const [result] = index.search('cafe');
+    assert.ok(result.terms.has('cafe'));
+    assert.equal(
+        String(highlightText('Café <concert>', result.terms)),
+        '<mark class="bg-yellow-200 text-inherit rounded-sm">Café</mark> &lt;concert&gt;'
+    );
+});
+
+test('searchIndex: rich text is reduced to plain text', () => {
+    const value = { root: { children: [{ children: [{ text: 'Hello' }, { text: 'world' }] }] } };
+    assert.equal(getPlainText(value), 'Hello world');
+    assert.equal(getPlainText(null), '');
+});
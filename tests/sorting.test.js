@@ -0,0 +1,63 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { groupEvents, sortEvents } from '../src/sorting.js';
+
+// Times are IST; "long" runs for days, "talk" and "late" have no end and default to an hour
+const events = [
+    { id: 'long', title: 'river walk', venue: 'Pepper House', category: 'Walks', start: new Date('2025-12-12T10:00:00+05:30'), end: new Date('2025-12-20T18:00:00+05:30') },
+    { id: 'talk', title: 'Artist talk 10', venue: 'Aspinwall House', eventType: 'Talk', start: new Date('2025-12-12T18:00:00+05:30'), end: null },
+    { id: 'film', title: 'Artist talk 2', venue: null, category: 'Film', start: new Date('2025-12-13T09:00:00+05:30'), end: new Date('2025-12-13T09:30:00+05:30') },
+    { id: 'late', title: 'Late concert', venue: 'Aspinwall House', category: 'Music', start: new Date('2025-12-12T23:30:00+05:30'), end: null }
+];
+
+const ids = list => list.map(event => event.id);
+const sorted = (key, now) => ids(sortEvents(events, key, now));
+
+test('sortEvents: date orders', () => {
+    assert.deepEqual(sorted('dateAsc'), ['long', 'talk', 'late', 'film']);
+    assert.deepEqual(sorted('dateDesc'), ['film', 'late', 'talk', 'long']);
+    assert.deepEqual(sorted('relevance'), sorted('dateAsc'));
+    assert.deepEqual(sorted('unknown'), sorted('dateAsc'));
+});
+
+test('sortEvents: text orders ignore case, compare numbers naturally and put missing values last', () => {
+    assert.deepEqual(sorted('title'), ['film', 'talk', 'late', 'long']);
+    assert.deepEqual(sorted('venue'), ['talk', 'late', 'long', 'film']);
+});
+
+test('sortEvents: duration uses the default length for events without an end', () => {
+    assert.deepEqual(sorted('duration'), ['film', 'talk', 'late', 'long']);
+});
+
+test('sortEvents: ending soonest puts finished events last', () => {
+    const now = new Date('2025-12-13T12:00:00+05:30');
+    assert.deepEqual(sorted('endingSoon', now), ['long', 'talk', 'late', 'film']);
+});
+
+test('sortEvents: returns a copy', () => {
+    const copy = [...events];
+    sortEvents(events, 'dateDesc');
+    assert.deepEqual(events, copy);
+});
+
+test('groupEvents: days follow the sort direction and group by IST day', () => {
+    const byDay = groups => groups.map(group => [group.key, ids(group.events)]);
+
+    assert.deepEqual(byDay(groupEvents(sortEvents(events, 'dateAsc'), 'day', 'dateAsc')), [
+        ['2025-12-12', ['long', 'talk', 'late']],
+        ['2025-12-13', ['film']]
+    ]);
+    assert.deepEqual(byDay(groupEvents(sortEvents(events, 'dateDesc'), 'day', 'dateDesc')), [
+        ['2025-12-13', ['film']],
+        ['2025-12-12', ['late', 'talk', 'long']]
+    ]);
+});
+
+test('groupEvents: venues, categories and types are A–Z with a label for missing values', () => {
+    const labels = groupKey => groupEvents(events, groupKey, 'dateAsc').map(group => group.label);
+
+    assert.deepEqual(labels('venue'), ['Aspinwall House', 'Pepper House', 'Venue TBA']);
+    assert.deepEqual(labels('category'), ['Film', 'Music', 'Walks', 'Uncategorized']);
+    assert.deepEqual(labels('eventType'), ['Talk', 'Event']);
+    assert.equal(groupEvents(events, 'none', 'dateAsc'), null);
+});
@@ -1,13 +1,80 @@
-import { defineConfig } from 'vite';
-
-export default defineConfig({
-  server: {
-    port: 3000,
-    open: true
-  },
-  build: {
-    outDir: 'dist',
-    sourcemap: true
+import { createHash } from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { defineConfig, loadEnv } from 'vite';
+
+// Fill in the service worker's build id and the hashed bundles it precaches,
+// so a page opened offline after one visit has its scripts and styles and
+// each deploy gets a fresh cache (see public/sw.js)
+function serviceWorkerPrecache() {
+  let outDir;
+  let assetUrls = [];
+
+  return {
+    name: 'biennale-sw-precache',
+    apply: 'build',
+    configResolved(config) {
+      outDir = path.resolve(config.root, config.build.outDir);
+    },
+    generateBundle(options, bundle) {
+      assetUrls = Object.keys(bundle)
+        .filter(fileName => fileName !== 'index.html' && !fileName.endsWith('.map'))
+        .sort()
+        .map(fileName => `./${fileName}`);
+    },
+    closeBundle() {
+      const file = path.join(outDir, 'sw.js');
+      if (!fs.existsSync(file)) return;
+
+      const buildId = createHash('sha256').update(assetUrls.join('\n')).digest('hex').slice(0, 10);
+      const source = fs.readFileSync(file, 'utf8')
+        .replace("const BUILD_ID = 'dev';", `const BUILD_ID = '${buildId}';`)
+        .replace('const ASSET_URLS = [];', `const ASSET_URLS = ${JSON.stringify(assetUrls, null, 4)};`);
+      fs.writeFileSync(file, source);
+    }
+  };
+}
+
+export default defineConfig(({ mode, isSsrBuild }) => {
+  const env = loadEnv(mode, process.cwd());
+
+  // `vite build --mode embed`: the <biennale-events> element as a library,
+  // as an ES module and a plain <script> bundle in dist/embed
+  if (mode === 'embed') {
+    return {
+      publicDir: false,
+      build: {
+        outDir: 'dist/embed',
+        sourcemap: true,
+        lib: {
+          entry: 'src/biennaleEvents.js',
+          name: 'BiennaleEvents',
+          formats: ['es', 'iife'],
+          fileName: (format) => (format === 'es' ? 'biennale-events.js' : `biennale-events.${format}.js`)
+        }
+      }
+    };
   }
-});
 
+  return {
+    // The SSR build is the prerender script (scripts/prerender.js)
+    plugins: isSsrBuild ? [] : [serviceWorkerPrecache()],
+    server: {
+      port: 3000,
+      open: true,
+      proxy: {
+        // Used by the "proxy" events source (src/dataSource.js)
+        '/cms': {
+          target: env.VITE_CMS_ORIGIN || 'https://admin.kochimuzirisbiennale.org',
+          changeOrigin: true,
+          rewrite: (path) => path.replace(/^\/cms/, '')
+        }
+      }
+    },
+    build: {
+      outDir: 'dist',
+      sourcemap: true,
+      copyPublicDir: !isSsrBuild
+    }
+  };
+});